@@ -0,0 +1,319 @@
+import axios from 'axios';
+import { get, omit } from 'lodash';
+import { getHeader, invariant, uuid } from './utils';
+
+const DEFAULT_RETRY = {
+    // Only requests that are safe to repeat are retried, and requests with an `Idempotency-Key`.
+    // Not PUT: Binder creates records with a multi PUT.
+    methods: ['get', 'head', 'options', 'delete'],
+    // Requests that fail without a response (network errors) are retried as well.
+    statusCodes: [408, 429, 502, 503, 504],
+    // Including the first attempt.
+    maxAttempts: 3,
+    // Milliseconds to wait before the first retry, doubled for every next retry.
+    delay: 300,
+    maxDelay: 10000,
+    // Randomizes the delay a bit, so clients don't all retry at the same moment.
+    jitter: true,
+};
+
+// `Retry-After` is either a number of seconds or a date.
+function parseRetryAfter(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function notImplemented(name) {
+    invariant(false, `\`${name}()\` is not implemented by this api.`);
+}
+
+// The adapter between models and stores and a backend. Models and stores only talk to their api
+// through the methods below `delete()`, so supporting another backend means extending this class
+// and implementing those. See `BinderApi`, `RestApi`,
+// `JsonApiApi` and `GraphQLApi`.
+export default class Api {
+    baseUrl = null;
+    defaultHeaders = {};
+    // A `Repository` shared by all models and stores using this api.
+    repository = null;
+    // An auth strategy, see `Auth.js`.
+    auth = null;
+    // Called with the error when the auth strategy fails to refresh its credentials.
+    onAuthFailure = null;
+    // The refresh of the auth credentials in progress; requests wait for it.
+    __authRefresh = null;
+    // Incremented on every refresh, so a request knows whether it was sent with old credentials.
+    __authVersion = 0;
+    // Retries failed requests when set, e.g. `{ maxAttempts: 5 }`; see `DEFAULT_RETRY` for the options.
+    // Can also be given per request as the `retry` option; `false` disables it.
+    retry = null;
+    // Adds an `Idempotency-Key` header to POST, PUT and PATCH requests, so they can be retried safely.
+    idempotencyKeys = false;
+    // A `Cache` for the results of model and store fetches.
+    cache = null;
+    // An `OfflineQueue` that queues the mutations of models while offline.
+    offlineQueue = null;
+    // Identical GET requests that are in progress at the same time share one request.
+    dedupeRequests = false;
+    __pendingGets = {};
+    // When `false`, models and stores don't need a `urlRoot` or `url`.
+    usesUrls = true;
+    axios = axios.create();
+
+    __request(method, url, data, options) {
+        options || (options = {});
+        this.__testUrl(url);
+
+        const axiosOptions = {
+            method,
+            baseURL: this.baseUrl,
+            url,
+            data: method !== 'get' && data ? data : undefined,
+            params: method === 'get' && data ? data : options.params,
+        };
+
+        Object.assign(axiosOptions, options);
+
+        // Don't clear existing headers when adding `options.headers`
+        const headers = Object.assign(
+            { 'Content-Type': 'application/json' },
+            this.__requestHeaders(method),
+            this.idempotencyKeys && ['post', 'put', 'patch'].includes(method)
+                ? { 'Idempotency-Key': uuid() }
+                : {},
+            this.defaultHeaders,
+            options.headers
+        );
+        axiosOptions.headers = headers;
+
+        const xhr = this.__send(axiosOptions, 1);
+
+        // We fork the promise tree as we want to have the error traverse to the listeners
+        if (this.onRequestError && options.skipRequestError !== true) {
+            xhr.catch(err => {
+                // An aborted request is not an error of the backend.
+                if (!axios.isCancel(err)) {
+                    this.onRequestError(err);
+                }
+            });
+        }
+
+        const format = res =>
+            options.skipFormatter === true ? res : this.__responseFormatter(res);
+        if (options.withHeaders === true) {
+            // The body still goes through the formatter, e.g. when the ETag of a fetch or save is read.
+            return xhr.then(res => ({ data: format(res), headers: res.headers }));
+        }
+        return xhr.then(format);
+    }
+
+    __send(axiosOptions, attempt) {
+        let authVersion;
+        return this.__authorize(axiosOptions)
+            .then(config => {
+                authVersion = this.__authVersion;
+                return this.axios(config);
+            })
+            .catch(err => {
+                if (
+                    this.auth &&
+                    !axiosOptions.skipAuth &&
+                    !axiosOptions.authRefreshed &&
+                    this.auth.needsRefresh(err)
+                ) {
+                    // Send it once more with the new credentials; when refreshing fails, the request fails.
+                    return this.__refreshAuth(authVersion).then(
+                        () => this.__send({ ...axiosOptions, authRefreshed: true }, attempt),
+                        () => {
+                            throw err;
+                        }
+                    );
+                }
+                const delay = this.__retryDelay(err, axiosOptions, attempt);
+                if (delay === null) {
+                    throw err;
+                }
+                return this.__sleep(delay).then(() =>
+                    this.__send(axiosOptions, attempt + 1)
+                );
+            });
+    }
+
+    // Waits for a refresh in progress, and adds the auth headers to the request.
+    __authorize(axiosOptions) {
+        const auth = this.auth;
+        if (!auth || axiosOptions.skipAuth) {
+            return Promise.resolve(axiosOptions);
+        }
+        const ready =
+            !this.__authRefresh && auth.isExpired && auth.isExpired()
+                ? this.__refreshAuth(this.__authVersion)
+                : this.__authRefresh || Promise.resolve();
+        return ready.then(() => ({
+            ...axiosOptions,
+            headers: {
+                ...auth.headers(this, axiosOptions.method),
+                ...axiosOptions.headers,
+            },
+        }));
+    }
+
+    // Refreshes the auth credentials, unless they were refreshed since `version` or are being refreshed.
+    __refreshAuth(version) {
+        if (this.__authRefresh) {
+            return this.__authRefresh;
+        }
+        if (version !== this.__authVersion) {
+            return Promise.resolve();
+        }
+        this.__authRefresh = Promise.resolve()
+            .then(() => this.auth.refresh(this))
+            .then(
+                () => {
+                    this.__authRefresh = null;
+                    this.__authVersion++;
+                },
+                err => {
+                    this.__authRefresh = null;
+                    if (this.onAuthFailure) {
+                        this.onAuthFailure(err);
+                    }
+                    throw err;
+                }
+            );
+        return this.__authRefresh;
+    }
+
+    // Returns how long to wait before retrying the failed request, or `null` to not retry it.
+    __retryDelay(err, axiosOptions, attempt) {
+        const retry =
+            axiosOptions.retry === undefined ? this.retry : axiosOptions.retry;
+        if (!retry || axios.isCancel(err)) {
+            return null;
+        }
+        const { methods, statusCodes, maxAttempts, delay, maxDelay, jitter } = {
+            ...DEFAULT_RETRY,
+            ...retry,
+        };
+        const retryable =
+            methods.includes(axiosOptions.method) ||
+            !!axiosOptions.headers['Idempotency-Key'];
+        if (
+            attempt >= maxAttempts ||
+            !retryable ||
+            (err.response && !statusCodes.includes(err.response.status))
+        ) {
+            return null;
+        }
+        const retryAfter = parseRetryAfter(
+            getHeader(get(err, 'response.headers'), 'Retry-After')
+        );
+        if (retryAfter !== null) {
+            // Rather fail than keep the user waiting for too long.
+            return retryAfter <= maxDelay ? retryAfter : null;
+        }
+        const backoff = Math.min(maxDelay, delay * Math.pow(2, attempt - 1));
+        return jitter ? backoff / 2 + Math.random() * backoff / 2 : backoff;
+    }
+
+    __sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Extra headers for a request, e.g. a content type. Credentials are added by `auth`.
+    __requestHeaders(method) {
+        return {};
+    }
+
+    __responseFormatter(res) {
+        return res.data;
+    }
+
+    // Throws when the backend won't accept `url`.
+    __testUrl(url) {}
+
+    get(url, data, options) {
+        if (!this.dedupeRequests) {
+            return this.__request('get', url, data, options);
+        }
+        // A shared request is not aborted when one of the callers cancels it.
+        const sharedOptions = omit(options, 'cancelToken');
+        const key = JSON.stringify([url, data, sharedOptions]);
+        if (!this.__pendingGets[key]) {
+            const request = this.__request('get', url, data, sharedOptions);
+            const done = () => {
+                delete this.__pendingGets[key];
+            };
+            request.then(done, done);
+            this.__pendingGets[key] = request;
+        }
+        return this.__pendingGets[key];
+    }
+
+    post(url, data, options) {
+        return this.__request('post', url, data, options);
+    }
+
+    patch(url, data, options) {
+        return this.__request('patch', url, data, options);
+    }
+
+    put(url, data, options) {
+        return this.__request('put', url, data, options);
+    }
+
+    delete(url, data, options) {
+        return this.__request('delete', url, data, options);
+    }
+
+    // Returns the params to fetch `model` with, e.g. which relations to include.
+    buildFetchModelParams(model) {
+        return {};
+    }
+
+    // Resolves to `{ data, repos, relMapping, reverseRelMapping }`, see `Model.fromBackend()`.
+    // Only `data` is required; relations can also be embedded in it as nested objects.
+    fetchModel({ url, data, model, requestOptions }) {
+        notImplemented('fetchModel');
+    }
+
+    // Resolves to `{ data }` with the saved model. When the backend rejects the data, the error
+    // should get a `valErrors` property: `{ [backendResourceName]: { [id]: { [field]: [error] } } }`.
+    saveModel({ url, data, isNew, model, requestOptions }) {
+        notImplemented('saveModel');
+    }
+
+    // Saves `model` and its changed relations at once; `data` is `{ data, relations }` from
+    // `Model.toBackendAll()`. Errors should get `valErrors` like in `saveModel()`.
+    saveAllModels({ url, data, model, requestOptions }) {
+        notImplemented('saveAllModels');
+    }
+
+    deleteModel({ url, model, requestOptions }) {
+        notImplemented('deleteModel');
+    }
+
+    // Returns the params to fetch `store` with, e.g. which relations to include and which page to get.
+    buildFetchStoreParams(store) {
+        return store.pagination.params(store);
+    }
+
+    // Returns the params for the filters, ordering and search of `store`, see `Query`. They replace
+    // the params of the previous query.
+    buildQueryParams(query, store) {
+        notImplemented('buildQueryParams');
+    }
+
+    // Resolves to `{ response, data, repos, relMapping, reverseRelMapping, totalRecords, nextCursor, previousCursor }`.
+    // `response` is what `Store.fetch()` resolves to, `data` is a list of records and the cursors
+    // are only needed for cursor pagination.
+    fetchStore({ url, data, store, requestOptions }) {
+        notImplemented('fetchStore');
+    }
+}
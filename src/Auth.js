@@ -0,0 +1,102 @@
+import { get } from 'lodash';
+import { invariant } from './utils';
+
+// An auth strategy adds credentials to the requests of an api and refreshes them when the backend
+// rejects them. Set one as `auth` on an api; `BinderApi` uses `CsrfAuth` by default.
+//
+// A strategy implements:
+//
+// - `headers(api, method)`: the headers to add to a request.
+// - `needsRefresh(err)`: whether a failed request should be sent again after refreshing.
+// - `refresh(api)`: refreshes the credentials. Requests made in here need the `skipAuth` option.
+// - `isExpired()` (optional): whether to refresh before sending the next request.
+
+// Function ripped from Django docs.
+// See: https://docs.djangoproject.com/en/dev/ref/csrf/#ajax
+function csrfSafeMethod(method) {
+    // These HTTP methods do not require CSRF protection.
+    return /^(GET|HEAD|OPTIONS|TRACE)$/i.test(method);
+}
+
+function decodeBase64(s) {
+    const base64 = s.replace(/-/g, '+').replace(/_/g, '/');
+    return typeof atob === 'function'
+        ? atob(base64)
+        : Buffer.from(base64, 'base64').toString();
+}
+
+// Django's session authentication: sends `api.csrfToken`, and gets a new one with
+// `api.fetchCsrfToken()` when the backend rejects it.
+export class CsrfAuth {
+    headers(api, method) {
+        return {
+            'X-Csrftoken': csrfSafeMethod(method) ? undefined : api.csrfToken,
+        };
+    }
+
+    needsRefresh(err) {
+        return (
+            get(err, 'response.status') === 403 &&
+            get(err, 'response.data.code') === 'CSRFFailure'
+        );
+    }
+
+    refresh(api) {
+        return api.fetchCsrfToken();
+    }
+}
+
+// Sends `Authorization: Bearer <token>`. When the backend responds with 401, or the token is a JWT
+// that has expired, `options.refresh(api)` is called, which should resolve to a new token.
+export class BearerAuth {
+    token = null;
+    scheme = 'Bearer';
+    // Seconds before its `exp` that a JWT is considered expired, so it doesn't expire on the way.
+    leeway = 10;
+
+    constructor(options = {}) {
+        invariant(
+            !options.refresh || typeof options.refresh === 'function',
+            '`refresh` should be a function that resolves to a new token.'
+        );
+        this.__refresh = options.refresh || null;
+        ['token', 'scheme', 'leeway'].forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+    }
+
+    headers(api, method) {
+        return this.token ? { Authorization: `${this.scheme} ${this.token}` } : {};
+    }
+
+    needsRefresh(err) {
+        return !!this.__refresh && get(err, 'response.status') === 401;
+    }
+
+    refresh(api) {
+        invariant(this.__refresh, 'BearerAuth can\'t refresh without a `refresh` option.');
+        return this.__refresh(api).then(token => {
+            this.token = token;
+        });
+    }
+
+    // Only known for JWTs with an `exp` claim.
+    isExpired() {
+        if (!this.__refresh || !this.token) {
+            return false;
+        }
+        const parts = this.token.split('.');
+        if (parts.length !== 3) {
+            return false;
+        }
+        let exp;
+        try {
+            exp = JSON.parse(decodeBase64(parts[1])).exp;
+        } catch (e) {
+            return false;
+        }
+        return typeof exp === 'number' && exp - this.leeway <= Date.now() / 1000;
+    }
+}
@@ -1,85 +1,15 @@
-import { get } from 'lodash';
-import axios from 'axios';
+import { find, get, isArray, isEmpty, omit, result, uniq } from 'lodash';
+import Api from './Api';
+import { CsrfAuth } from './Auth';
+import { getHeader } from './utils';
 
-// Function ripped from Django docs.
-// See: https://docs.djangoproject.com/en/dev/ref/csrf/#ajax
-function csrfSafeMethod(method) {
-    // These HTTP methods do not require CSRF protection.
-    return /^(GET|HEAD|OPTIONS|TRACE)$/i.test(method);
-}
-
-export default class BinderApi {
-    baseUrl = null;
+export default class BinderApi extends Api {
     csrfToken = null;
-    defaultHeaders = {};
-    axios = axios.create();
-
-    constructor() {
-        this.__initializeCsrfHandling();
-    }
-
-    __initializeCsrfHandling() {
-        this.axios.interceptors.response.use(null, err => {
-            const status = get(err, 'response.status');
-            const statusErrCode = get(err, 'response.data.code');
-            const doNotRetry = get(err, 'response.config.doNotRetry');
-            if (
-                status === 403 &&
-                statusErrCode === 'CSRFFailure' &&
-                !doNotRetry
-            ) {
-                return this.fetchCsrfToken().then(() =>
-                    this.axios({
-                        ...err.response.config,
-                        doNotRetry: true,
-                    })
-                );
-            }
-            return Promise.reject(err);
-        });
-    }
-
-    __request(method, url, data, options) {
-        options || (options = {});
-        const useCsrfToken = csrfSafeMethod(method)
-            ? undefined
-            : this.csrfToken;
-        this.__testUrl(url);
-
-        const axiosOptions = {
-            method,
-            baseURL: this.baseUrl,
-            url,
-            data: method !== 'get' && data ? data : undefined,
-            params: method === 'get' && data ? data : options.params,
-        };
-
-        Object.assign(axiosOptions, options);
-
-        // Don't clear existing headers when adding `options.headers`
-        const headers = Object.assign(
-            {
-                'Content-Type': 'application/json',
-                'X-Csrftoken': useCsrfToken,
-            },
-            this.defaultHeaders,
-            options.headers
-        );
-        axiosOptions.headers = headers;
-
-        const xhr = this.axios(axiosOptions);
-
-        // We fork the promise tree as we want to have the error traverse to the listeners
-        if (this.onRequestError && options.skipRequestError !== true) {
-            xhr.catch(this.onRequestError);
-        }
-
-        const onSuccess =
-            options.skipFormatter === true
-                ? Promise.resolve()
-                : this.__responseFormatter;
-        return xhr.then(onSuccess);
-    }
+    auth = new CsrfAuth();
+    // Fetches of models of the same resource with the same params in the same tick are sent as one
+    // list request, filtered with `.id:in`.
+    batchModelFetches = false;
+    __batches = {};
 
     parseBackendValidationErrors(response) {
         const valErrors = get(response, 'data.errors');
@@ -90,15 +20,11 @@ export default class BinderApi {
     }
 
     fetchCsrfToken() {
-        return this.get('/api/bootstrap/').then(res => {
+        return this.get('/api/bootstrap/', null, { skipAuth: true }).then(res => {
             this.csrfToken = res.csrf_token;
         });
     }
 
-    __responseFormatter(res) {
-        return res.data;
-    }
-
     __testUrl(url) {
         if (!url.endsWith('/')) {
             throw new Error(
@@ -107,26 +33,6 @@ export default class BinderApi {
         }
     }
 
-    get(url, data, options) {
-        return this.__request('get', url, data, options);
-    }
-
-    post(url, data, options) {
-        return this.__request('post', url, data, options);
-    }
-
-    patch(url, data, options) {
-        return this.__request('patch', url, data, options);
-    }
-
-    put(url, data, options) {
-        return this.__request('put', url, data, options);
-    }
-
-    delete(url, data, options) {
-        return this.__request('delete', url, data, options);
-    }
-
     buildFetchModelParams(model) {
         return {
             // TODO: I really dislike that this is comma separated and not an array.
@@ -138,22 +44,96 @@ export default class BinderApi {
         };
     }
 
-    fetchModel({ url, data, requestOptions }) {
-        return this.get(url, data, requestOptions).then(res => {
+    fetchModel({ url, data, model, requestOptions }) {
+        // Only a plain fetch of the model itself can be part of a list request. A model with an ETag
+        // is fetched on its own, because a list response has no ETag per record. The list request is
+        // shared, so it is not aborted by `cancelToken`.
+        if (
+            this.batchModelFetches &&
+            model &&
+            url === model.url &&
+            isEmpty(omit(requestOptions, 'cancelToken')) &&
+            !model.__etag
+        ) {
+            return this.__batchFetchModel(model, data);
+        }
+        return this.get(url, data, { ...requestOptions, withHeaders: true }).then(res => {
             return {
-                data: res.data,
-                repos: res.with,
-                relMapping: res.with_mapping,
-                reverseRelMapping: res.with_related_name_mapping,
+                data: res.data.data,
+                repos: res.data.with,
+                relMapping: res.data.with_mapping,
+                reverseRelMapping: res.data.with_related_name_mapping,
+                etag: getHeader(res.headers, 'etag') || null,
             };
         });
     }
 
+    // Adds the fetch to the batch for the same resource and params; a batch is sent at the end of the tick.
+    __batchFetchModel(model, data) {
+        const urlRoot = result(model, 'urlRoot');
+        const key = JSON.stringify([urlRoot, data]);
+        let batch = this.__batches[key];
+        if (!batch) {
+            batch = { urlRoot, data, entries: [] };
+            this.__batches[key] = batch;
+            Promise.resolve().then(() => {
+                delete this.__batches[key];
+                this.__sendBatch(batch);
+            });
+        }
+        return new Promise((resolve, reject) => {
+            batch.entries.push({
+                url: model.url,
+                id: model[model.constructor.primaryKey],
+                primaryKey: model.constructor.toBackendAttrKey(model.constructor.primaryKey),
+                resolve,
+                reject,
+            });
+        });
+    }
+
+    __sendBatch({ urlRoot, data, entries }) {
+        const fetchOne = entry =>
+            this.fetchModel({ url: entry.url, data }).then(entry.resolve, entry.reject);
+        const ids = uniq(entries.map(entry => entry.id));
+        if (ids.length === 1) {
+            const request = this.fetchModel({ url: entries[0].url, data });
+            entries.forEach(entry => request.then(entry.resolve, entry.reject));
+            return;
+        }
+        const primaryKey = entries[0].primaryKey;
+        this.get(urlRoot, {
+            ...data,
+            [`.${primaryKey}:in`]: ids.join(','),
+            limit: 'none',
+        }).then(
+            res => {
+                entries.forEach(entry => {
+                    const record = find(res.data, item => String(item[primaryKey]) === String(entry.id));
+                    if (!record) {
+                        // E.g. it doesn't exist; fetch it on its own to get the actual response.
+                        fetchOne(entry);
+                        return;
+                    }
+                    entry.resolve({
+                        data: record,
+                        repos: res.with,
+                        relMapping: res.with_mapping,
+                        reverseRelMapping: res.with_related_name_mapping,
+                        // The ETag of a list is not the one of the record.
+                        etag: null,
+                    });
+                });
+            },
+            err => entries.forEach(entry => entry.reject(err))
+        );
+    }
+
     saveModel({ url, data, isNew, requestOptions }) {
         const method = isNew ? 'post' : 'patch';
-        return this[method](url, data, requestOptions)
-            .then(newData => {
-                return { data: newData };
+        return this[method](url, data, { ...requestOptions, withHeaders: true })
+            .then(res => {
+                return { data: res.data, etag: getHeader(res.headers, 'etag') || null };
             })
             .catch(err => {
                 if (err.response) {
@@ -196,17 +176,33 @@ export default class BinderApi {
     }
 
     buildFetchStoreParams(store) {
-        const offset = store.getPageOffset();
-        const limit = store.__state.limit;
-        return {
-            with:
-                store.__activeRelations
-                    .map(store.Model.toBackendAttrKey)
-                    .join(',') || null,
-            limit: limit === null ? 'none' : limit,
-            // Hide offset if zero so the request looks cleaner in DevTools.
-            offset: offset || null,
-        };
+        return Object.assign(
+            {
+                with:
+                    store.__activeRelations
+                        .map(store.Model.toBackendAttrKey)
+                        .join(',') || null,
+            },
+            store.pagination.params(store)
+        );
+    }
+
+    // Binder filters with `.kind.name:icontains`, and orders with `order_by=-created_at,name`.
+    buildQueryParams(query) {
+        const params = {};
+        query.flatConditions().forEach(({ path, lookup, value }) => {
+            const key = `.${path.join('.')}${lookup === 'exact' ? '' : `:${lookup}`}`;
+            params[key] = isArray(value) ? value.join(',') : value;
+        });
+        if (query.ordering.length > 0) {
+            params.order_by = query.ordering
+                .map(({ path, desc }) => `${desc ? '-' : ''}${path.join('.')}`)
+                .join(',');
+        }
+        if (query.search !== null) {
+            params.search = query.search;
+        }
+        return params;
     }
 
     fetchStore({ url, data, requestOptions }) {
@@ -218,6 +214,9 @@ export default class BinderApi {
                 relMapping: res.with_mapping,
                 reverseRelMapping: res.with_related_name_mapping,
                 totalRecords: res.meta.total_records,
+                // Only set when the backend uses cursor pagination.
+                nextCursor: res.meta.next,
+                previousCursor: res.meta.previous,
             };
         });
     }
@@ -0,0 +1,133 @@
+import { observable, action } from 'mobx';
+import { isPlainObject, forIn } from 'lodash';
+import { invariant } from './utils';
+
+const AVAILABLE_OPTIONS = ['ttl', 'ttls', 'staleWhileRevalidate'];
+
+// The relations and fields of `target`, a model or store, are part of the key, since an api like
+// `GraphQLApi` selects by them instead of sending them in the url or data.
+function cacheKey(target, key) {
+    const fields = target.Model
+        ? [target.Model.pickFields, target.Model.omitFields]
+        : [target.pickFields(), target.omitFields()];
+    return JSON.stringify([...key, target.__activeRelations, ...fields]);
+}
+
+// Calls `fetch()` of `target` through the `cache` of `api`, if it has one and `resource` is set.
+// Resolves to `{ result, fetchedAt, seq, stale }`, see `Cache.fetch()`. Only uses `api.cache`, so an
+// api doesn't need to extend `Api`. A request of the cache can be shared by several fetches, so only
+// without a cache `cancelToken` is passed to `fetch()`.
+export function fetchCached(api, target, resource, key, fetch, onRevalidate, cancelToken) {
+    if (!api.cache || !resource) {
+        return fetch(cancelToken).then(result => {
+            return { result, fetchedAt: Date.now(), seq: null, stale: false };
+        });
+    }
+    return api.cache.fetch(resource, cacheKey(target, key), () => fetch(), onRevalidate);
+}
+
+// Cached results of `resource` are outdated, e.g. because a model of it was saved.
+export function invalidateCache(api, resource) {
+    if (api.cache && resource) {
+        api.cache.invalidate(resource);
+    }
+}
+
+// Caches the results of model and store fetches. Set it as `cache` on an api. Entries are kept per
+// `backendResourceName`, and a successful `save()`, `saveAll()` or `delete()` of a model removes the
+// entries of its resource.
+export default class Cache {
+    // Milliseconds a result is fresh.
+    ttl = 60 * 1000;
+    // Per `backendResourceName`, a `ttl` to use instead.
+    ttls = {};
+    // Milliseconds after it expired that a result is still used, while it is fetched again in the background.
+    staleWhileRevalidate = 0;
+    // `{ [key]: { resource, result, fetchedAt, seq } }`
+    __entries = {};
+    // Fetches in progress by key, so they are not sent twice.
+    __pending = {};
+    // Incremented for every fetch and invalidation, so their order is known.
+    __seq = 0;
+    // `{ [resource]: seq }` of the last invalidation of a resource.
+    __invalidated = observable.map();
+
+    constructor(options = {}) {
+        invariant(
+            isPlainObject(options),
+            'Cache only accepts an object with options.'
+        );
+        forIn(options, (value, option) => {
+            invariant(
+                AVAILABLE_OPTIONS.includes(option),
+                `Unknown option passed to cache: ${option}`
+            );
+            this[option] = value;
+        });
+    }
+
+    __ttl(resource) {
+        return this.ttls[resource] === undefined ? this.ttl : this.ttls[resource];
+    }
+
+    // Resolves to `{ result, fetchedAt, seq, stale }`, where `result` is the (cached) result of `fetch()`.
+    // When a stale result is used, `onRevalidate` is called with the fresh one once it is fetched.
+    fetch(resource, key, fetch, onRevalidate) {
+        const entry = this.__entries[key];
+        if (entry) {
+            const age = Date.now() - entry.fetchedAt;
+            const ttl = this.__ttl(resource);
+            if (age <= ttl) {
+                return Promise.resolve({ ...entry, stale: false });
+            }
+            if (age <= ttl + this.staleWhileRevalidate) {
+                this.__fetch(resource, key, fetch).then(
+                    fresh => onRevalidate && onRevalidate(fresh),
+                    // The stale result was used already; the next fetch tries again.
+                    () => {}
+                );
+                return Promise.resolve({ ...entry, stale: true });
+            }
+        }
+        return this.__fetch(resource, key, fetch);
+    }
+
+    __fetch(resource, key, fetch) {
+        if (!this.__pending[key]) {
+            const startSeq = ++this.__seq;
+            const done = () => {
+                delete this.__pending[key];
+            };
+            this.__pending[key] = fetch().then(result => {
+                // The result is as old as the request, so an invalidation while fetching outdates it.
+                const entry = { resource, result, fetchedAt: Date.now(), seq: startSeq };
+                if (!this.isInvalidated(resource, startSeq)) {
+                    this.__entries[key] = entry;
+                }
+                return { ...entry, stale: false };
+            });
+            this.__pending[key].then(done, done);
+        }
+        return this.__pending[key];
+    }
+
+    // Whether a result fetched at `seq` is outdated by an invalidation of its resource.
+    isInvalidated(resource, seq) {
+        const invalidated = this.__invalidated.get(resource);
+        return invalidated !== undefined && invalidated > seq;
+    }
+
+    @action
+    invalidate(resource) {
+        forIn(this.__entries, (entry, key) => {
+            if (entry.resource === resource) {
+                delete this.__entries[key];
+            }
+        });
+        this.__invalidated.set(resource, ++this.__seq);
+    }
+
+    clear() {
+        this.__entries = {};
+    }
+}
@@ -0,0 +1,69 @@
+import { castArray, get, isPlainObject, isString } from 'lodash';
+import { invariant } from './utils';
+
+const DEFAULT_COLLATOR = new Intl.Collator();
+
+// Parses a sort spec like `['-createdAt', 'name']` into `[{ field, desc, nulls }]`. Besides a string,
+// a key can be `{ field: 'createdAt', desc: true, nulls: 'first' }`; empty values are last by default.
+export function parseSortSpec(spec) {
+    return castArray(spec).map(key => {
+        if (isString(key)) {
+            const desc = key.startsWith('-');
+            return { field: desc ? key.slice(1) : key, desc, nulls: 'last' };
+        }
+        invariant(
+            isPlainObject(key) && isString(key.field),
+            `Invalid sort key: ${JSON.stringify(key)}`
+        );
+        invariant(
+            [undefined, 'first', 'last'].includes(key.nulls),
+            `Sort key \`${key.field}\` should have \`nulls\` \`first\` or \`last\`.`
+        );
+        return { field: key.field, desc: !!key.desc, nulls: key.nulls || 'last' };
+    });
+}
+
+// Dates of moment, Luxon and `Date` compare by their time; an invalid date is empty.
+function sortValue(value) {
+    if (value !== null && typeof value === 'object') {
+        const primitive = value.valueOf();
+        if (typeof primitive === 'number') {
+            return isNaN(primitive) ? null : primitive;
+        }
+    }
+    return value;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined;
+}
+
+// Returns a compare function for `Array.sort()` that sorts models by `spec`, see `parseSortSpec()`.
+// Fields can go through relations, like `kind.name`. Strings are compared with `collator`.
+export default function createComparator(spec, collator = DEFAULT_COLLATOR) {
+    const keys = parseSortSpec(spec);
+    return (a, b) => {
+        for (const { field, desc, nulls } of keys) {
+            const valueA = sortValue(get(a, field));
+            const valueB = sortValue(get(b, field));
+            if (isEmpty(valueA) || isEmpty(valueB)) {
+                if (isEmpty(valueA) && isEmpty(valueB)) {
+                    continue;
+                }
+                // Not reversed by `desc`.
+                const emptyFirst = isEmpty(valueA) ? -1 : 1;
+                return nulls === 'first' ? emptyFirst : -emptyFirst;
+            }
+            let result;
+            if (isString(valueA) && isString(valueB)) {
+                result = collator.compare(valueA, valueB);
+            } else {
+                result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+            }
+            if (result !== 0) {
+                return desc ? -result : result;
+            }
+        }
+        return 0;
+    };
+}
@@ -0,0 +1,263 @@
+import {
+    forIn,
+    get,
+    isArray,
+    isBoolean,
+    isEmpty,
+    isInteger,
+    isNumber,
+    lowerFirst,
+    mapKeys,
+    omit,
+    omitBy,
+    upperFirst,
+} from 'lodash';
+import Api from './Api';
+import Store from './Store';
+import { invariant, relationsToNestedKeys, snakeToCamel } from './utils';
+
+// An api for GraphQL backends. Queries are generated from the attributes and active relations of a
+// model or store, so exactly the fields a screen uses are fetched, and the (nested) result is parsed
+// with `parse()`. Saving and deleting use mutations, which can be configured per model.
+//
+// Field names are the attribute names of the model (camelCased).
+export default class GraphQLApi extends Api {
+    endpoint = '/graphql/';
+    usesUrls = false;
+    // Sends a document; `({ query, variables, requestOptions }) => Promise` resolving to `{ data, errors }`.
+    // By default it is POSTed to `endpoint`.
+    transport = null;
+    // Per `backendResourceName`, root field names to use instead of the generated ones,
+    // e.g. `{ animal: { model: 'animal', store: 'allAnimals', create: 'addAnimal' } }`.
+    rootFields = {};
+    // Per `backendResourceName`, mutation documents to use instead of the generated ones, for `create`,
+    // `update` and `delete`. They get the `$id` and `$input` variables; the result of the first root
+    // field is parsed into the model.
+    mutations = {};
+    // GraphQL types of variables, by name. Other variables get a type based on their value.
+    variableTypes = {
+        id: 'ID!',
+        limit: 'Int',
+        offset: 'Int',
+        page: 'Int',
+        pageSize: 'Int',
+        cursor: 'String',
+    };
+    // In the result of a store query, the field with the records and the field with the total.
+    resultsField = 'results';
+    totalCountField = 'totalCount';
+
+    // `animal_kind` => `AnimalKind`
+    typeName(ModelClass) {
+        invariant(
+            ModelClass.backendResourceName,
+            'GraphQLApi needs a `backendResourceName` on the model.'
+        );
+        return upperFirst(snakeToCamel(ModelClass.backendResourceName));
+    }
+
+    rootField(ModelClass, operation) {
+        const custom = get(this.rootFields, [ModelClass.backendResourceName, operation]);
+        if (custom) {
+            return custom;
+        }
+        const typeName = this.typeName(ModelClass);
+        switch (operation) {
+            case 'model':
+                return lowerFirst(typeName);
+            case 'store':
+                return `${lowerFirst(typeName)}List`;
+            default:
+                return `${operation}${typeName}`;
+        }
+    }
+
+    __variableType(name, value) {
+        if (this.variableTypes[name]) {
+            return this.variableTypes[name];
+        }
+        const valueType = v => {
+            if (isBoolean(v)) {
+                return 'Boolean';
+            }
+            if (isInteger(v)) {
+                return 'Int';
+            }
+            return isNumber(v) ? 'Float' : 'String';
+        };
+        return isArray(value) ? `[${valueType(value[0])}]` : valueType(value);
+    }
+
+    // `{ id: 1, limit: 10 }` => `['($id: ID!, $limit: Int)', '(id: $id, limit: $limit)']`
+    __buildArguments(variables) {
+        const names = Object.keys(variables);
+        if (names.length === 0) {
+            return ['', ''];
+        }
+        const declarations = names.map(
+            name => `$${name}: ${this.__variableType(name, variables[name])}`
+        );
+        const args = names.map(name => `${name}: $${name}`);
+        return [`(${declarations.join(', ')})`, `(${args.join(', ')})`];
+    }
+
+    // Selects the fields of `model` and its relations in `nestedRelations`, see `relationsToNestedKeys()`.
+    __buildSelection(model, nestedRelations) {
+        const fields = model.__attributes.filter(
+            attr => !attr.startsWith('_') && model.fieldFilter(attr)
+        );
+        if (!fields.includes(model.constructor.primaryKey)) {
+            fields.unshift(model.constructor.primaryKey);
+        }
+        forIn(nestedRelations, (subRelations, name) => {
+            const rel = model[name];
+            const relModel =
+                rel instanceof Store ? new rel.Model(null, { relations: rel.__activeRelations }) : rel;
+            fields.push(`${name} ${this.__buildSelection(relModel, subRelations)}`);
+        });
+        return `{ ${fields.join(' ')} }`;
+    }
+
+    __modelSelection(model) {
+        return this.__buildSelection(
+            model,
+            relationsToNestedKeys(model.__activeRelations.filter(rel => rel !== null))
+        );
+    }
+
+    // Sends `query` and resolves to its data. GraphQL errors reject with an error that has them as `errors`.
+    request(query, variables, requestOptions) {
+        const send =
+            this.transport ||
+            (() => this.post(this.endpoint, { query, variables }, requestOptions));
+        return send({ query, variables, requestOptions }).then(res => {
+            if (res.errors && res.errors.length > 0) {
+                const err = new Error(`[mobx-spine] ${res.errors[0].message}`);
+                err.errors = res.errors;
+                throw err;
+            }
+            return res.data;
+        });
+    }
+
+    // GraphQL errors with a `field` and a `code` in their `extensions` become backend validation errors.
+    parseBackendValidationErrors(errors, model) {
+        const fieldErrors = {};
+        (errors || []).forEach(error => {
+            const field = get(error, 'extensions.field');
+            if (field) {
+                fieldErrors[field] = (fieldErrors[field] || []).concat({
+                    code: get(error, 'extensions.code', error.message),
+                    message: error.message,
+                });
+            }
+        });
+        if (isEmpty(fieldErrors)) {
+            return null;
+        }
+        return {
+            [model.constructor.backendResourceName]: {
+                [model.getInternalId()]: fieldErrors,
+            },
+        };
+    }
+
+    __buildQuery(rootField, variables, selection) {
+        const [declarations, args] = this.__buildArguments(variables);
+        return `query${declarations} { ${rootField}${args} ${selection} }`;
+    }
+
+    __buildMutation(model, operation) {
+        const bname = model.constructor.backendResourceName;
+        const custom = get(this.mutations, [bname, operation]);
+        if (custom) {
+            return custom;
+        }
+        const rootField = this.rootField(model.constructor, operation);
+        const input = `${this.typeName(model.constructor)}Input!`;
+        switch (operation) {
+            case 'create':
+                return `mutation($input: ${input}) { ${rootField}(input: $input) ${this.__modelSelection(model)} }`;
+            case 'update':
+                return `mutation($id: ID!, $input: ${input}) { ${rootField}(id: $id, input: $input) ${this.__modelSelection(model)} }`;
+            default:
+                return `mutation($id: ID!) { ${rootField}(id: $id) }`;
+        }
+    }
+
+    fetchModel({ data, model, requestOptions }) {
+        const variables = omitBy(
+            { id: model[model.constructor.primaryKey], ...data },
+            value => value === null || value === undefined
+        );
+        const query = this.__buildQuery(
+            this.rootField(model.constructor, 'model'),
+            variables,
+            this.__modelSelection(model)
+        );
+        return this.request(query, variables, requestOptions).then(res => {
+            return { data: res[this.rootField(model.constructor, 'model')] };
+        });
+    }
+
+    saveModel({ data, isNew, model, requestOptions }) {
+        const operation = isNew ? 'create' : 'update';
+        const primaryKey = model.constructor.primaryKey;
+        const variables = {
+            input: mapKeys(omit(data, primaryKey), (value, key) =>
+                model.constructor.fromBackendAttrKey(key)
+            ),
+        };
+        if (!isNew) {
+            variables.id = data[primaryKey];
+        }
+        return this.request(this.__buildMutation(model, operation), variables, requestOptions)
+            .then(res => {
+                return { data: res[Object.keys(res)[0]] };
+            })
+            .catch(err => {
+                err.valErrors = this.parseBackendValidationErrors(err.errors, model);
+                throw err;
+            });
+    }
+
+    deleteModel({ model, requestOptions }) {
+        return this.request(
+            this.__buildMutation(model, 'delete'),
+            { id: model[model.constructor.primaryKey] },
+            requestOptions
+        );
+    }
+
+    buildFetchStoreParams(store) {
+        // Without a limit, fetch everything.
+        if (store.__state.limit === null || store.isLocal) {
+            return {};
+        }
+        return mapKeys(store.pagination.params(store), (value, key) => snakeToCamel(key));
+    }
+
+    fetchStore({ data, store, requestOptions }) {
+        const variables = omitBy(data, value => value === null || value === undefined);
+        const model = new store.Model(null, { relations: store.__activeRelations });
+        const rootField = this.rootField(store.Model, 'store');
+        const selection = [
+            this.totalCountField,
+            `${this.resultsField} ${this.__modelSelection(model)}`,
+        ];
+        if ('cursor' in store.pagination.params(store)) {
+            selection.push('nextCursor', 'previousCursor');
+        }
+        const query = this.__buildQuery(rootField, variables, `{ ${selection.join(' ')} }`);
+        return this.request(query, variables, requestOptions).then(res => {
+            const result = res[rootField];
+            return {
+                response: result,
+                data: result[this.resultsField],
+                totalRecords: result[this.totalCountField],
+                nextCursor: result.nextCursor,
+                previousCursor: result.previousCursor,
+            };
+        });
+    }
+}
@@ -0,0 +1,120 @@
+import { observable, computed, action } from 'mobx';
+import { isPlainObject } from 'lodash';
+import { invariant } from './utils';
+
+// Keeps track of changes made with `setInput()` on models and `add()`, `remove()`, `removeById()` and
+// `clear()` on stores, so they can be undone. Pass it as the `history` option to a model or store;
+// it is passed on to its relations and to models created by a store.
+export default class History {
+    // Each entry is a list of changes that are undone at once. A change is an `{ undo, redo }` object.
+    @observable.shallow __undoStack = [];
+    @observable.shallow __redoStack = [];
+    // Changes of the transaction that is currently running.
+    __transaction = null;
+    // While larger than 0, changes are not recorded (e.g. while undoing).
+    __ignoreCount = 0;
+    limit = 100;
+
+    constructor(options = {}) {
+        invariant(
+            isPlainObject(options),
+            'History only accepts an object with options.'
+        );
+        if (options.limit !== undefined) {
+            invariant(
+                Number.isInteger(options.limit) && options.limit > 0,
+                'History limit should be a number above 0.'
+            );
+            this.limit = options.limit;
+        }
+    }
+
+    @computed
+    get canUndo() {
+        return this.__undoStack.length > 0;
+    }
+
+    @computed
+    get canRedo() {
+        return this.__redoStack.length > 0;
+    }
+
+    @action
+    __record(change) {
+        if (this.__ignoreCount > 0) {
+            return;
+        }
+        if (this.__transaction) {
+            this.__transaction.push(change);
+            return;
+        }
+        this.__push([change]);
+    }
+
+    @action
+    __push(changes) {
+        this.__undoStack.push(changes);
+        if (this.__undoStack.length > this.limit) {
+            this.__undoStack.splice(0, this.__undoStack.length - this.limit);
+        }
+        this.__redoStack.clear();
+    }
+
+    // Runs `fn` without recording the changes it makes. Used when a recorded method calls other recorded methods.
+    __ignore(fn) {
+        this.__ignoreCount++;
+        try {
+            return fn();
+        } finally {
+            this.__ignoreCount--;
+        }
+    }
+
+    // All changes made in `fn` are undone with a single `undo()`.
+    @action
+    transaction(fn) {
+        // A nested transaction is part of the outer one.
+        if (this.__transaction) {
+            return fn();
+        }
+        this.__transaction = [];
+        try {
+            return fn();
+        } finally {
+            const changes = this.__transaction;
+            this.__transaction = null;
+            if (changes.length > 0) {
+                this.__push(changes);
+            }
+        }
+    }
+
+    @action
+    undo() {
+        invariant(this.canUndo, 'There is nothing to undo.');
+        const changes = this.__undoStack.pop();
+        this.__ignore(() => {
+            changes
+                .slice()
+                .reverse()
+                .forEach(change => change.undo());
+        });
+        this.__redoStack.push(changes);
+    }
+
+    @action
+    redo() {
+        invariant(this.canRedo, 'There is nothing to redo.');
+        const changes = this.__redoStack.pop();
+        this.__ignore(() => {
+            changes.forEach(change => change.redo());
+        });
+        this.__undoStack.push(changes);
+    }
+
+    @action
+    clear() {
+        this.__undoStack.clear();
+        this.__redoStack.clear();
+    }
+}
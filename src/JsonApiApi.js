@@ -0,0 +1,287 @@
+import {
+    castArray,
+    compact,
+    flatMap,
+    forIn,
+    get,
+    isArray,
+    isEmpty,
+    isPlainObject,
+    mapKeys,
+    uniq,
+    uniqBy,
+} from 'lodash';
+import Api from './Api';
+import Store from './Store';
+import { getQueryParam } from './utils';
+
+const CONTENT_TYPE = 'application/vnd.api+json';
+const RE_ERROR_POINTER = /^\/data\/(?:attributes|relationships)\/([^/]+)/;
+
+function resourceKey({ type, id }) {
+    return `${type}:${id}`;
+}
+
+function linkUrl(link) {
+    // Since JSON:API 1.1 a link can also be an object.
+    return isPlainObject(link) ? link.href : link;
+}
+
+// ['kind.breed', 'owner'] => ['kind', 'kind.breed', 'owner']
+function expandIncludePaths(include) {
+    const paths = flatMap(compact((include || '').split(',')), path => {
+        const parts = path.split('.');
+        return parts.map((part, i) => parts.slice(0, i + 1).join('.'));
+    });
+    // Parents first, so their resources are known when walking to their relations.
+    return uniq(paths).sort(
+        (a, b) => a.split('.').length - b.split('.').length
+    );
+}
+
+// An api for JSON:API backends (https://jsonapi.org).
+//
+// The resource `type` of a model is its `backendResourceName`. Documents are translated to the
+// `{ data, repos, relMapping }` shape of `Model.fromBackend()`: `included` resources get a repo
+// for each include path, and relationships become primary keys like they are in Binder.
+export default class JsonApiApi extends Api {
+    // The query param in the `links` that holds the cursor.
+    cursorParam = 'page[cursor]';
+    // The key in `meta` of a collection document with the total number of resources.
+    totalRecordsKey = 'total';
+
+    __requestHeaders(method) {
+        return {
+            'Content-Type': CONTENT_TYPE,
+            Accept: CONTENT_TYPE,
+        };
+    }
+
+    // JSON:API ids are strings; numeric ids become numbers again.
+    parseId(id) {
+        return /^\d+$/.test(id) ? parseInt(id) : id;
+    }
+
+    __flattenResource(resource) {
+        const record = { ...resource.attributes, id: this.parseId(resource.id) };
+        forIn(resource.relationships, (relationship, name) => {
+            const linkage = relationship.data;
+            if (linkage === undefined) {
+                return;
+            }
+            record[name] = isArray(linkage)
+                ? linkage.map(identifier => this.parseId(identifier.id))
+                : linkage && this.parseId(linkage.id);
+        });
+        return record;
+    }
+
+    // `include` is the comma separated `include` param the document was requested with.
+    __parseDocument(doc, include) {
+        const included = {};
+        (doc.included || []).forEach(resource => {
+            included[resourceKey(resource)] = resource;
+        });
+
+        const repos = {};
+        const relMapping = {};
+        const resourcesByPath = { '': compact(castArray(doc.data)) };
+        expandIncludePaths(include).forEach(path => {
+            const parts = path.split('.');
+            const name = parts.pop();
+            const resources = flatMap(resourcesByPath[parts.join('.')], resource =>
+                compact(castArray(get(resource, ['relationships', name, 'data'])))
+                    .map(identifier => included[resourceKey(identifier)])
+            );
+            resourcesByPath[path] = uniqBy(compact(resources), resourceKey);
+            repos[path] = resourcesByPath[path].map(resource =>
+                this.__flattenResource(resource)
+            );
+            relMapping[path] = path;
+        });
+
+        let data = null;
+        if (isArray(doc.data)) {
+            data = doc.data.map(resource => this.__flattenResource(resource));
+        } else if (doc.data) {
+            data = this.__flattenResource(doc.data);
+        }
+        return { data, repos, relMapping };
+    }
+
+    // Turns the output of `model.toBackend()` into a JSON:API document.
+    __buildDocument(model, data) {
+        const resource = {
+            type: model.constructor.backendResourceName,
+            attributes: {},
+        };
+        const id = data[model.constructor.primaryKey];
+        if (id !== null && id !== undefined) {
+            resource.id = String(id);
+        }
+        const relations = {};
+        model.__activeCurrentRelations.forEach(name => {
+            relations[model.constructor.toBackendAttrKey(name)] = model[name];
+        });
+        forIn(data, (value, key) => {
+            if (key === model.constructor.primaryKey) {
+                return;
+            }
+            const rel = relations[key];
+            if (!rel) {
+                resource.attributes[key] = value;
+                return;
+            }
+            const type =
+                rel instanceof Store
+                    ? rel.Model.backendResourceName
+                    : rel.constructor.backendResourceName;
+            const identifier = relId =>
+                relId === null ? null : { type, id: String(relId) };
+            if (!resource.relationships) {
+                resource.relationships = {};
+            }
+            resource.relationships[key] = {
+                data: isArray(value)
+                    ? value.map(identifier)
+                    : identifier(value),
+            };
+        });
+        return { data: resource };
+    }
+
+    __include(relations, ModelClass) {
+        return (
+            relations
+                .filter(rel => rel !== null)
+                .map(ModelClass.toBackendAttrKey)
+                .join(',') || null
+        );
+    }
+
+    // Adds `fields[type]` params for `model` and its relations that have `pickFields`.
+    __sparseFieldsets(model, fields = {}) {
+        const type = model.constructor.backendResourceName;
+        const pickFields = model.pickFields();
+        if (type && pickFields) {
+            // Without its relations in the fieldset, the backend would not include them.
+            fields[`fields[${type}]`] = uniq([
+                ...pickFields,
+                ...model.__activeCurrentRelations,
+            ])
+                .filter(field => field !== model.constructor.primaryKey)
+                .map(model.constructor.toBackendAttrKey)
+                .join(',');
+        }
+        model.__activeCurrentRelations.forEach(name => {
+            const rel = model[name];
+            this.__sparseFieldsets(
+                rel instanceof Store
+                    ? new rel.Model(null, { relations: rel.__activeRelations })
+                    : rel,
+                fields
+            );
+        });
+        return fields;
+    }
+
+    parseBackendValidationErrors(response, model) {
+        const errors = get(response, 'data.errors');
+        if (!isArray(errors)) {
+            return null;
+        }
+        const fieldErrors = {};
+        errors.forEach(error => {
+            const match = get(error, 'source.pointer', '').match(RE_ERROR_POINTER);
+            if (match) {
+                fieldErrors[match[1]] = (fieldErrors[match[1]] || []).concat({
+                    ...error,
+                    code: error.code || error.title,
+                });
+            }
+        });
+        if (isEmpty(fieldErrors)) {
+            return null;
+        }
+        return {
+            [model.constructor.backendResourceName]: {
+                [model.getInternalId()]: fieldErrors,
+            },
+        };
+    }
+
+    buildFetchModelParams(model) {
+        return {
+            include: this.__include(model.__activeRelations, model.constructor),
+            ...this.__sparseFieldsets(model),
+        };
+    }
+
+    fetchModel({ url, data, requestOptions }) {
+        return this.get(url, data, requestOptions).then(res => {
+            return this.__parseDocument(res, data && data.include);
+        });
+    }
+
+    saveModel({ url, data, isNew, model, requestOptions }) {
+        const method = isNew ? 'post' : 'patch';
+        return this[method](url, this.__buildDocument(model, data), requestOptions)
+            .then(res => {
+                // The backend may respond with 204 No Content.
+                if (!res) {
+                    return { data: null };
+                }
+                return this.__parseDocument(
+                    res,
+                    this.__include(model.__activeRelations, model.constructor)
+                );
+            })
+            .catch(err => {
+                if (err.response) {
+                    err.valErrors = this.parseBackendValidationErrors(
+                        err.response,
+                        model
+                    );
+                }
+                throw err;
+            });
+    }
+
+    deleteModel({ url, requestOptions }) {
+        return this.delete(url, null, requestOptions);
+    }
+
+    buildFetchStoreParams(store) {
+        const limit = store.__state.limit;
+        return {
+            include: this.__include(store.__activeRelations, store.Model),
+            ...this.__sparseFieldsets(
+                new store.Model(null, { relations: store.__activeRelations })
+            ),
+            // Without a limit, the backend decides the page size.
+            ...(limit === null || store.isLocal
+                ? {}
+                : mapKeys(store.pagination.params(store), (value, key) => `page[${key}]`)),
+        };
+    }
+
+    fetchStore({ url, data, requestOptions }) {
+        return this.get(url, data, requestOptions).then(res => {
+            const doc = this.__parseDocument(res, data && data.include);
+            const total = get(res, ['meta', this.totalRecordsKey]);
+            return {
+                response: res,
+                ...doc,
+                totalRecords: total === undefined ? doc.data.length : total,
+                nextCursor: getQueryParam(
+                    linkUrl(get(res, 'links.next')),
+                    this.cursorParam
+                ),
+                previousCursor: getQueryParam(
+                    linkUrl(get(res, 'links.prev')),
+                    this.cursorParam
+                ),
+            };
+        });
+    }
+}
@@ -24,14 +24,60 @@ import {
     mapKeys,
     result,
     pick,
+    castArray,
+    isEqual,
+    map,
 } from 'lodash';
 import Store from './Store';
-import { invariant, snakeToCamel, camelToSnake, relationsToNestedKeys, forNestedRelations } from './utils';
+import { normalizeValidationError } from './Validators';
+import { fetchCached, invalidateCache } from './Cache';
+import {
+    invariant,
+    snakeToCamel,
+    camelToSnake,
+    relationsToNestedKeys,
+    forNestedRelations,
+    cancellable,
+    isConflict,
+} from './utils';
 
 function concatInDict(dict, key, value) {
     dict[key] = dict[key] ? dict[key].concat(value) : value;
 }
 
+// An array or object observable can be mutated, so we want to ensure we have a not-yet-mutated copy.
+function copyObservableValue(value) {
+    if (isObservableArray(value)) {
+        return value.slice();
+    }
+    if (isObservableObject(value)) {
+        return Object.assign({}, value);
+    }
+    return value;
+}
+
+// Statuses with which a backend rejects a save because the model was changed by someone else.
+const CONFLICT_STATUSES = [409, 412];
+
+// Relations are compared by primary key, attributes by their cast value.
+function localFieldValue(model, field) {
+    const value = model[field];
+    if (value instanceof Model) {
+        return value[value.constructor.primaryKey];
+    }
+    if (value instanceof Store) {
+        return value.mapByPrimaryKey();
+    }
+    return model.__toJSAttr(field, value);
+}
+
+function backendFieldValue(model, field, value) {
+    if (model.__isRelation(field)) {
+        return value;
+    }
+    return model.__toJSAttr(field, model.__parseAttr(field, value));
+}
+
 // Find the relation name before the first dot, and include all other relations after it
 // Example: input `animal.kind.breed` output -> `['animal', 'kind.breed']`
 const RE_SPLIT_FIRST_RELATION = /([^.]+)\.(.+)/;
@@ -53,6 +99,9 @@ export default class Model {
     // How the model is known at the backend. This is useful when the model is in a relation that has a different name.
     static backendResourceName = '';
 
+    // An attribute that the backend increments on every save, e.g. `version`. It is always sent when
+    // saving, so the backend can reject a save of an outdated model.
+    static versionField = null;
     static fileFields = [];
     static pickFields = undefined;
     static omitFields = [];
@@ -75,15 +124,27 @@ export default class Model {
     __activeCurrentRelations = [];
     __repository;
     __store;
+    // Other stores the model is in through the repository.
+    __sharedStores = [];
+    __history;
     api = null;
     // A `cid` can be used to identify the model locally.
     cid = `m${uniqueId()}`;
     @observable __backendValidationErrors = {};
+    // Holds errors found by the rules in `validations()`, in the raw `{ code }` shape.
+    @observable __clientValidationErrors = {};
     @observable __pendingRequestCount = 0;
+    // Requests that are in progress, so they can be aborted with `abortRequests()`.
+    __activeRequests = [];
+    __fetchRequest = null;
+    // The `ETag` of the last fetch or save, sent as `If-Match` when saving.
+    __etag = null;
     // URL query params that are added to fetch requests.
     @observable __fetchParams = {};
     // Holds fields (attrs+relations) that have been changed via setInput()
     @observable __changes = [];
+    // Holds the last known backend values of fields, serialized like `toJS()`.
+    @observable.ref __originalValues = {};
 
     // File state
     @observable __fileChanges = {};
@@ -104,6 +165,22 @@ export default class Model {
             });
     }
 
+    // Sends a request with `send(cancelToken)`, see `cancellable()`, and keeps track of it until it is done.
+    __trackRequest(send) {
+        const request = cancellable(send);
+        this.__activeRequests.push(request);
+        const untrack = () => {
+            this.__activeRequests = this.__activeRequests.filter(r => r !== request);
+        };
+        request.then(untrack, untrack);
+        return request;
+    }
+
+    // Aborts all requests in progress. Their promises reject with an error for which `isCancel()` is true.
+    abortRequests() {
+        this.__activeRequests.forEach(request => request.cancel());
+    }
+
     // Useful to reference to this model in a relation - that is not yet saved to the backend.
     getNegativeId() {
         return -parseInt(this.cid.replace('m', ''));
@@ -150,6 +227,11 @@ export default class Model {
         return {};
     }
 
+    // Client-side validation rules, e.g. `{ name: [Validators.required, Validators.maxLength(50)] }`.
+    validations() {
+        return {};
+    }
+
     fileFields() {
         return this.constructor.fileFields;
     }
@@ -168,6 +250,7 @@ export default class Model {
     constructor(data, options = {}) {
         this.__store = options.store;
         this.__repository = options.repository;
+        this.__history = options.history;
         // Find all attributes. Not all observables are an attribute.
         forIn(this, (value, key) => {
             if (!key.startsWith('__') && isObservableProp(this, key)) {
@@ -176,20 +259,13 @@ export default class Model {
                     `Forbidden attribute key used: \`${key}\``
                 );
                 this.__attributes.push(key);
-                let newValue = value;
-                // An array or object observable can be mutated, so we want to ensure we always have
-                // the original not-yet-mutated object/array.
-                if (isObservableArray(value)) {
-                    newValue = value.slice();
-                } else if (isObservableObject(value)) {
-                    newValue = Object.assign({}, value);
-                }
-                this.__originalAttributes[key] = newValue;
+                this.__originalAttributes[key] = copyObservableValue(value);
             }
         });
         if (options.relations) {
             this.__parseRelations(options.relations);
         }
+        this.__setOriginalValues(this.__attributes.concat(this.__activeCurrentRelations));
         if (data) {
             this.parse(data);
         }
@@ -239,6 +315,12 @@ export default class Model {
                     `Specified relation "${relName}" does not exist on model.`
                 );
                 const options = { relations: otherRelNames };
+                if (this.__history) {
+                    options.history = this.__history;
+                }
+                if (this.__repository) {
+                    options.repository = this.__repository;
+                }
                 if (RelModel.prototype instanceof Store) {
                     return new RelModel(options);
                 }
@@ -259,7 +341,7 @@ export default class Model {
 
     @computed
     get hasUserChanges() {
-        if (this.__changes.length > 0) {
+        if (this.changedFields.length > 0) {
             return true;
         }
         return this.__activeCurrentRelations.some(rel => {
@@ -267,7 +349,147 @@ export default class Model {
         });
     }
 
+    // Fields changed via setInput() that really differ from their original value.
+    @computed
+    get changedFields() {
+        return this.__changes.filter(field => !this.__isOriginalValue(field));
+    }
+
+    __isRelation(name) {
+        return this.__activeCurrentRelations.includes(name);
+    }
+
+    __serializeField(name) {
+        if (this.__isRelation(name)) {
+            return this[name].toJS();
+        }
+        return this.__toJSAttr(name, this[name]);
+    }
+
+    @action
+    __setOriginalValues(fields) {
+        const originalValues = Object.assign({}, this.__originalValues);
+        fields.forEach(field => {
+            originalValues[field] = this.__serializeField(field);
+        });
+        this.__originalValues = originalValues;
+    }
+
+    // Compare serialized values, so e.g. two moment instances of the same date are equal.
+    __isOriginalValue(name) {
+        if (this.__isRelation(name)) {
+            return isEqual(this.__relationKey(name, this[name].toJS()), this.getOriginalValue(name));
+        }
+        return isEqual(this.__serializeField(name), this.__originalValues[name]);
+    }
+
+    // A relation is identified by its primary key (model) or list of primary keys (store), like in `toBackend()`.
+    __relationKey(name, value) {
+        const rel = this[name];
+        if (rel instanceof Store) {
+            return map(value, rel.Model.primaryKey);
+        }
+        return value ? value[rel.constructor.primaryKey] : null;
+    }
+
+    getOriginalValue(name) {
+        invariant(
+            this.__attributes.includes(name) || this.__isRelation(name),
+            `Field \`${name}\` does not exist on the model.`
+        );
+        const original = this.__originalValues[name];
+        if (this.__isRelation(name)) {
+            return this.__relationKey(name, original);
+        }
+        if (original === undefined) {
+            return undefined;
+        }
+        return this.__parseAttr(name, original);
+    }
+
+    // Returns `{ field: { old, new } }` for every changed field. Relations are given as primary key(s).
+    diff() {
+        const output = {};
+        this.changedFields.forEach(field => {
+            output[field] = {
+                old: this.getOriginalValue(field),
+                new: this.__isRelation(field)
+                    ? this.__relationKey(field, this[field].toJS())
+                    : this[field],
+            };
+        });
+        return output;
+    }
+
+    @action
+    resetField(name) {
+        const original = this.__originalValues[name];
+        if (this.__isRelation(name)) {
+            const rel = this.__switchModelRelation(name, original);
+            rel.clear();
+            if (rel instanceof Store) {
+                rel.parse(original || []);
+                rel.clearSetChanges();
+            } else if (original) {
+                rel.parse(original);
+            }
+        } else {
+            this[name] = this.getOriginalValue(name);
+        }
+        delete this.__fileChanges[name];
+        delete this.__fileDeletions[name];
+        this.__changes.remove(name);
+    }
+
+    // Captures the state of the model and its relations, so it can be restored with `rollback()`.
+    checkpoint() {
+        const attributes = {};
+        this.__attributes.forEach(attr => {
+            attributes[attr] = copyObservableValue(this[attr]);
+        });
+        const relations = {};
+        const relationInstances = {};
+        this.__activeCurrentRelations.forEach(currentRel => {
+            relations[currentRel] = this[currentRel].checkpoint();
+            // With a repository, a model relation can be switched to another instance.
+            relationInstances[currentRel] = this[currentRel];
+        });
+        return {
+            attributes,
+            relations,
+            relationInstances,
+            changes: this.__changes.slice(),
+            originalValues: this.__originalValues,
+            fileChanges: Object.assign({}, this.__fileChanges),
+            fileDeletions: Object.assign({}, this.__fileDeletions),
+            fileExists: Object.assign({}, this.__fileExists),
+        };
+    }
+
+    @action
+    rollback(checkpoint) {
+        invariant(
+            isPlainObject(checkpoint),
+            'Expecting a checkpoint created with `checkpoint()`.'
+        );
+        forIn(checkpoint.attributes, (value, attr) => {
+            this[attr] = copyObservableValue(value);
+        });
+        forIn(checkpoint.relations, (relCheckpoint, currentRel) => {
+            this[currentRel] = checkpoint.relationInstances[currentRel];
+            this[currentRel].rollback(relCheckpoint);
+        });
+        this.__changes.replace(checkpoint.changes);
+        this.__originalValues = checkpoint.originalValues;
+        this.__fileChanges = Object.assign({}, checkpoint.fileChanges);
+        this.__fileDeletions = Object.assign({}, checkpoint.fileDeletions);
+        this.__fileExists = Object.assign({}, checkpoint.fileExists);
+    }
+
+    @action
     clearUserFieldChanges() {
+        // The current values are now the ones known by the backend.
+        this.__setOriginalValues(this.__changes.slice());
         this.__changes.clear();
     }
 
@@ -306,7 +528,7 @@ export default class Model {
                 const forceFields = options.forceFields || [];
                 return (
                     forceFields.includes(field) ||
-                        this.__changes.includes(field) ||
+                        this.changedFields.includes(field) ||
                         (this[field] instanceof Store && this[field].hasSetChanges) ||
                         // isNew is always true for relations that haven't been saved.
                         // If no property has been tweaked, its id serializes as null.
@@ -427,6 +649,67 @@ export default class Model {
         return output;
     }
 
+    // A plain JSON snapshot of the model, its relations, user changes and validation errors.
+    // `Model.deserialize()` turns it into a model again, e.g. to hydrate server-rendered data or to
+    // restore a draft. File changes are not included.
+    serialize() {
+        const attributes = {};
+        this.__attributes.forEach(attr => {
+            attributes[attr] = this.__toJSAttr(attr, this[attr]);
+        });
+        const relations = {};
+        this.__activeCurrentRelations.forEach(currentRel => {
+            relations[currentRel] = this[currentRel].serialize();
+        });
+        return {
+            attributes,
+            relations,
+            activeRelations: this.__activeRelations.slice(),
+            changes: this.__changes.slice(),
+            originalValues: toJS(this.__originalValues),
+            backendValidationErrors: toJS(this.__backendValidationErrors),
+            clientValidationErrors: toJS(this.__clientValidationErrors),
+            fetchParams: toJS(this.__fetchParams),
+            etag: this.__etag,
+        };
+    }
+
+    static deserialize(snapshot, options = {}) {
+        invariant(
+            isPlainObject(snapshot),
+            'Expecting a snapshot created with `serialize()`.'
+        );
+        const model = new this(null, { ...options, relations: snapshot.activeRelations });
+        return model.__deserialize(snapshot);
+    }
+
+    @action
+    __deserialize(snapshot) {
+        forIn(snapshot.attributes, (value, attr) => {
+            if (this.__attributes.includes(attr)) {
+                this[attr] = this.__parseAttr(attr, value);
+            }
+        });
+        forIn(snapshot.relations, (relSnapshot, relName) => {
+            if (this.__isRelation(relName)) {
+                this[relName].__deserialize(relSnapshot);
+            }
+        });
+        this.__changes = snapshot.changes.slice();
+        this.__originalValues = snapshot.originalValues;
+        this.__backendValidationErrors = snapshot.backendValidationErrors;
+        this.__clientValidationErrors = snapshot.clientValidationErrors;
+        this.__fetchParams = snapshot.fetchParams;
+        this.__etag = snapshot.etag || null;
+
+        const repository = this.__getRepository();
+        if (repository) {
+            repository.add(this);
+        }
+
+        return this;
+    }
+
     __toJSAttr(attr, value) {
         const casts = this.casts();
         const cast = casts[attr];
@@ -527,14 +810,16 @@ export default class Model {
     // e.g. "animal_kind", while the relation name would be "kind".
     // `relMapping` maps relation names to repositories.
     @action
-    fromBackend({ data, repos, relMapping, reverseRelMapping, }) {
+    fromBackend({ data, repos, relMapping, reverseRelMapping, etag }) {
+        if (etag !== undefined) {
+            this.__etag = etag;
+        }
         // We handle the fromBackend recursively. On each relation of the source model
         // fromBackend gets called as well, but with data scoped for itself
         //
         // So when we have a model with a `town.restaurants.chef` relation,
         // we call fromBackend on the `town` relation.
         each(this.__activeCurrentRelations, relName => {
-            const rel = this[relName];
             const resScoped = this.__scopeBackendResponse({
                 data,
                 targetRelName: relName,
@@ -549,12 +834,14 @@ export default class Model {
             }
 
             const { scopedData, scopedRepos, scopedRelMapping, scopedReverseRelMapping } = resScoped;
+            const rel = scopedData ? this.__switchModelRelation(relName, scopedData) : this[relName];
             rel.fromBackend({
                 data: scopedData,
                 repos: scopedRepos,
                 relMapping: scopedRelMapping,
                 reverseRelMapping: scopedReverseRelMapping,
             });
+            this.__setOriginalValues([relName]);
         });
 
         // Now all repositories are set on the relations, start parsing the actual data.
@@ -564,13 +851,47 @@ export default class Model {
         }
     }
 
+    __getRepository() {
+        return this.__repository || (this.api && this.api.repository) || null;
+    }
+
+    // With a repository, a model relation can be shared with other models, so it must not be changed into
+    // another record. Instead, switch to the model of that record (or a new model) and return it.
+    @action
+    __switchModelRelation(name, data) {
+        const rel = this[name];
+        const repository = this.__getRepository();
+        if (!repository || !(rel instanceof Model)) {
+            return rel;
+        }
+        const RelModel = rel.constructor;
+        const id = data ? data[RelModel.primaryKey] : null;
+        if (id && rel[RelModel.primaryKey] === id) {
+            return rel;
+        }
+        const shared = repository.get(RelModel, id, rel.__activeRelations);
+        if (shared) {
+            this[name] = shared;
+            return shared;
+        }
+        if (rel.isNew) {
+            return rel;
+        }
+        this[name] = new RelModel(null, {
+            relations: rel.__activeRelations,
+            repository: this.__repository,
+            history: this.__history,
+        });
+        return this[name];
+    }
+
     __getApi() {
         invariant(
             this.api,
             'You are trying to perform a API request without an `api` property defined on the model.'
         );
         invariant(
-            result(this, 'urlRoot'),
+            this.api.usesUrls === false || result(this, 'urlRoot'),
             'You are trying to perform a API request without an `urlRoot` property defined on the model.'
         );
         return this.api;
@@ -585,21 +906,31 @@ export default class Model {
             )}`
         );
 
+        const parsedFields = [];
         forIn(data, (value, key) => {
             const attr = this.constructor.fromBackendAttrKey(key);
             if (this.__attributes.includes(attr)) {
                 this[attr] = this.__parseAttr(attr, value);
+                parsedFields.push(attr);
             } else if (this.__activeCurrentRelations.includes(attr)) {
+                parsedFields.push(attr);
                 // In Binder, a relation property is an `int` or `[int]`, referring to its ID.
                 // However, it can also be an object if there are nested relations (non flattened).
                 if (isPlainObject(value) || (Array.isArray(value) && value.every(isPlainObject))) {
-                    this[attr].parse(value);
+                    this.__switchModelRelation(attr, value).parse(value);
                 } else if (value === null) {
                     // The relation is cleared.
-                    this[attr].clear();
+                    this.__switchModelRelation(attr, null).clear();
                 }
             }
         });
+        // Parsed data is not a user change, so it becomes the original value.
+        this.__setOriginalValues(parsedFields);
+
+        const repository = this.__getRepository();
+        if (repository) {
+            repository.add(this);
+        }
 
         return this;
     }
@@ -665,25 +996,57 @@ export default class Model {
     @action
     save(options = {}) {
         this.clearValidationErrors();
-        return this.wrapPendingRequestCount(
-            this.__getApi()
+        if (!this.validate()) {
+            return Promise.reject(this.__clientValidationError([this]));
+        }
+        const api = this.__getApi();
+        const url = options.url || this.url;
+        const data = this.toBackend({
+            data: this.__versionData(options.data),
+            mapData: options.mapData,
+            fields: options.fields,
+            onlyChanges: options.onlyChanges,
+        });
+        const requestOptions = omit(options, 'url', 'data', 'mapData', 'optimistic');
+        if (!this.isNew && this.__etag) {
+            requestOptions.headers = { 'If-Match': this.__etag, ...requestOptions.headers };
+        }
+        if (api.offlineQueue && api.offlineQueue.shouldQueue) {
+            // Files can't be kept in the queue, so the changes are kept to save them once online.
+            const fileChanges = this.fileFields()
+                .filter(this.fieldFilter)
+                .filter(name => this.__fileChanges[name]);
+            if (fileChanges.length > 0) {
+                return Promise.reject(new Error(
+                    `[mobx-spine] Cannot save file fields while offline: ${fileChanges.join(', ')}.`
+                ));
+            }
+            api.offlineQueue.save(this, { url, data, requestOptions });
+            this.clearUserFieldChanges();
+            return Promise.resolve();
+        }
+        const checkpoint = options.optimistic ? this.checkpoint() : null;
+        const request = this.__trackRequest(cancelToken => api
             .saveModel({
-                url: options.url || this.url,
-                data: this.toBackend({
-                        data: options.data,
-                        mapData: options.mapData,
-                        fields: options.fields,
-                        onlyChanges: options.onlyChanges,
-                    }),
+                url,
+                data,
                 isNew: this.isNew,
-                requestOptions: omit(options, 'url', 'data', 'mapData')
-            })
+                model: this,
+                requestOptions: { ...requestOptions, cancelToken },
+            }));
+        if (checkpoint) {
+            // Show the model as saved right away; the checkpoint is restored when saving fails.
+            this.clearUserFieldChanges();
+        }
+        return this.wrapPendingRequestCount(
+            request
             .then(action(res => {
                 this.saveFromBackend({
                     ...res,
                     data: omit(res.data, this.fileFields().map(camelToSnake)),
                 });
                 this.clearUserFieldChanges();
+                this.__invalidateCache([this]);
                 return this.saveFiles().then(() => {
                     this.clearUserFileChanges();
                     return Promise.resolve(res);
@@ -691,15 +1054,101 @@ export default class Model {
             }))
             .catch(
                 action(err => {
+                    if (checkpoint) {
+                        this.rollback(checkpoint);
+                    }
                     if (err.valErrors) {
                         this.parseValidationErrors(err.valErrors);
                     }
+                    if (CONFLICT_STATUSES.includes(get(err, 'response.status'))) {
+                        return this.__rejectConflict(err);
+                    }
                     throw err;
                 })
             )
         );
     }
 
+    // The version is sent even when it didn't change, so the backend knows which version was edited.
+    __versionData(data) {
+        const versionField = this.constructor.versionField;
+        if (!versionField || this.isNew) {
+            return data;
+        }
+        return {
+            [this.constructor.toBackendAttrKey(versionField)]: this.__toJSAttr(versionField, this[versionField]),
+            ...data,
+        };
+    }
+
+    // Marks `err` as a conflict (see `isConflict()`) and adds the current data of the backend as
+    // `serverData`, and its `ETag` as `serverEtag`.
+    __rejectConflict(err) {
+        err.isConflict = true;
+        err.serverData = null;
+        err.serverEtag = null;
+        return this.__getApi()
+            .fetchModel({ url: this.url, data: this.buildFetchData({}), model: this, requestOptions: {} })
+            .then(
+                res => {
+                    err.serverData = res.data;
+                    err.serverEtag = res.etag || null;
+                },
+                // Still a conflict, only without the data of the backend.
+                () => {}
+            )
+            .then(() => {
+                throw err;
+            });
+    }
+
+    // After `save()` failed with a conflict, takes the data of the backend for the fields the user
+    // didn't change, and its version, so saving again overwrites the backend with the changes of the
+    // user. Returns the changed fields that have another value in the backend.
+    @action
+    mergeConflict(err) {
+        invariant(
+            isConflict(err) && err.serverData,
+            'Expecting a conflict error with `serverData` from `save()`.'
+        );
+        const conflicts = this.__mergeBackendData(err.serverData);
+        this.__etag = err.serverEtag;
+        return conflicts.map(conflict => conflict.field);
+    }
+
+    // Updates the model with backend `data`, except the fields the user changed to another value. Those
+    // are returned as `[{ field, key, local, remote }]`, where `remote` is the value like the backend sent it.
+    @action
+    __mergeBackendData(data) {
+        const conflicts = [];
+        const merged = {};
+        forIn(data, (value, key) => {
+            const field = this.constructor.fromBackendAttrKey(key);
+            const local = this.__isRelation(field) || this.__attributes.includes(field)
+                ? localFieldValue(this, field)
+                : undefined;
+            if (this.changedFields.includes(field) && !isEqual(local, backendFieldValue(this, field, value))) {
+                conflicts.push({ field, key, local, remote: value });
+            } else {
+                merged[key] = this.__toParseValue(field, value);
+            }
+        });
+        this.parse(merged);
+        return conflicts;
+    }
+
+    // `parse()` only updates relations given as records, so ids become `{ id }`.
+    __toParseValue(field, value) {
+        const rel = this.__isRelation(field) ? this[field] : null;
+        if (rel instanceof Model && value !== null && !isPlainObject(value)) {
+            return { [rel.constructor.primaryKey]: value };
+        }
+        if (rel instanceof Store && isArray(value)) {
+            return value.map(id => (isPlainObject(id) ? id : { [rel.Model.primaryKey]: id }));
+        }
+        return value;
+    }
+
     @action
     setInput(name, value) {
         invariant(
@@ -707,6 +1156,71 @@ export default class Model {
                 this.__activeCurrentRelations.includes(name),
             `Field \`${name}\` does not exist on the model.`
         );
+        const history = this.__history;
+        if (!history) {
+            return this.__setInput(name, value);
+        }
+        const before = this.__captureFieldState(name);
+        history.__ignore(() => this.__setInput(name, value));
+        const after = this.__captureFieldState(name);
+        history.__record({
+            undo: () => this.__restoreFieldState(name, before),
+            redo: () => this.__restoreFieldState(name, after),
+        });
+    }
+
+    // Everything `setInput()` changes for a field, so the history can restore it.
+    __captureFieldState(name) {
+        const state = {
+            changed: this.__changes.includes(name),
+            fileChange: this.__fileChanges[name],
+            fileDeletion: this.__fileDeletions[name],
+            fileExists: this.__fileExists[name],
+        };
+        const rel = this[name];
+        if (rel instanceof Store) {
+            state.models = rel.models.slice();
+            state.setChanged = rel.__setChanged;
+        } else if (rel instanceof Model) {
+            state.value = rel.toJS();
+        } else {
+            state.value = rel;
+        }
+        return state;
+    }
+
+    @action
+    __restoreFieldState(name, state) {
+        const rel = this[name];
+        if (rel instanceof Store) {
+            rel.models.replace(state.models);
+            rel.__setChanged = state.setChanged;
+        } else if (rel instanceof Model) {
+            const switchedRel = this.__switchModelRelation(name, state.value);
+            switchedRel.clear();
+            switchedRel.parse(state.value);
+        } else {
+            this[name] = state.value;
+        }
+        if (state.changed && !this.__changes.includes(name)) {
+            this.__changes.push(name);
+        } else if (!state.changed) {
+            this.__changes.remove(name);
+        }
+        [
+            [this.__fileChanges, state.fileChange],
+            [this.__fileDeletions, state.fileDeletion],
+            [this.__fileExists, state.fileExists],
+        ].forEach(([fileState, value]) => {
+            if (value === undefined) {
+                delete fileState[name];
+            } else {
+                fileState[name] = value;
+            }
+        });
+    }
+
+    __setInput(name, value) {
         if (this.fileFields().includes(name)) {
             if (this.__fileExists[name] === undefined) {
                 this.__fileExists[name] = this[name] !== null;
@@ -733,9 +1247,9 @@ export default class Model {
                 this[name].clear();
                 this[name].add(value.map(v => v.toJS()));
             } else if (value) {
-                this[name].parse(value.toJS());
+                this.__switchModelRelation(name, value.toJS()).parse(value.toJS());
             } else {
-                this[name].clear();
+                this.__switchModelRelation(name, null).clear();
             }
         } else {
             this[name] = value;
@@ -746,6 +1260,9 @@ export default class Model {
                 { [name]: undefined }
             );
         }
+        if (this.__clientValidationErrors[name]) {
+            this.__clientValidationErrors = omit(this.__clientValidationErrors, name);
+        }
     }
 
     saveAllFiles(relations = {}) {
@@ -759,30 +1276,60 @@ export default class Model {
     @action
     saveAll(options = {}) {
         this.clearValidationErrors();
-        return this.wrapPendingRequestCount(
-            this.__getApi()
+        const validatedModels = [this];
+        forNestedRelations(this, relationsToNestedKeys(options.relations || []), relation => {
+            if (relation instanceof Model && !validatedModels.includes(relation)) {
+                validatedModels.push(relation);
+            }
+        });
+        // Validate every model first, so all of them show their errors.
+        const valid = validatedModels.map(model => model.validate()).every(Boolean);
+        if (!valid) {
+            return Promise.reject(this.__clientValidationError(validatedModels));
+        }
+        const clearSavedChanges = () => {
+            this.clearUserFieldChanges();
+
+            forNestedRelations(this, relationsToNestedKeys(options.relations || []), relation => {
+                if (relation instanceof Model) {
+                    relation.clearUserFieldChanges();
+                } else {
+                    relation.clearSetChanges();
+                }
+            });
+        };
+        const api = this.__getApi();
+        const url = result(this, 'urlRoot');
+        const data = this.toBackendAll({
+            data: options.data,
+            mapData: options.mapData,
+            nestedRelations: relationsToNestedKeys(options.relations || []),
+            onlyChanges: options.onlyChanges,
+        });
+        const requestOptions = omit(options, 'relations', 'data', 'mapData', 'optimistic');
+        if (api.offlineQueue && api.offlineQueue.shouldQueue) {
+            api.offlineQueue.saveAll(this, { url, data, models: validatedModels, requestOptions });
+            clearSavedChanges();
+            return Promise.resolve();
+        }
+        const checkpoint = options.optimistic ? this.checkpoint() : null;
+        const request = this.__trackRequest(cancelToken => api
             .saveAllModels({
-                url: result(this, 'urlRoot'),
+                url,
                 model: this,
-                data: this.toBackendAll({
-                    data: options.data,
-                    mapData: options.mapData,
-                    nestedRelations: relationsToNestedKeys(options.relations || []),
-                    onlyChanges: options.onlyChanges,
-                }),
-                requestOptions: omit(options, 'relations', 'data', 'mapData'),
-            })
+                data,
+                requestOptions: { ...requestOptions, cancelToken },
+            }));
+        if (checkpoint) {
+            // Show the models as saved right away; the checkpoint is restored when saving fails.
+            clearSavedChanges();
+        }
+        return this.wrapPendingRequestCount(
+            request
             .then(action(res => {
                 this.saveFromBackend(res);
-                this.clearUserFieldChanges();
-
-                forNestedRelations(this, relationsToNestedKeys(options.relations || []), relation => {
-                    if (relation instanceof Model) {
-                        relation.clearUserFieldChanges();
-                    } else {
-                        relation.clearSetChanges();
-                    }
-                });
+                clearSavedChanges();
+                this.__invalidateCache(validatedModels);
 
                 return this.saveAllFiles(relationsToNestedKeys(options.relations || [])).then(() => {
                     this.clearUserFileChanges();
@@ -798,6 +1345,9 @@ export default class Model {
             }))
             .catch(
                 action(err => {
+                    if (checkpoint) {
+                        this.rollback(checkpoint);
+                    }
                     if (err.valErrors) {
                         this.parseValidationErrors(err.valErrors);
                     }
@@ -857,9 +1407,54 @@ export default class Model {
         });
     }
 
+    // Runs the rules from `validations()` and stores the errors found. Returns `true` when the model is valid.
+    @action
+    validate() {
+        const errors = {};
+        const relations = this.relations ? this.relations() : {};
+        forIn(this.validations(), (rules, attr) => {
+            invariant(
+                this.__attributes.includes(attr) || relations[attr],
+                `Validation defined for field \`${attr}\`, which does not exist on the model.`
+            );
+            // A relation that is not active is not saved either.
+            if (relations[attr] && !this.__activeCurrentRelations.includes(attr)) {
+                return;
+            }
+            castArray(rules).forEach(rule => {
+                const error = normalizeValidationError(rule(this[attr], this, attr));
+                if (error) {
+                    concatInDict(errors, attr, [error]);
+                }
+            });
+        });
+        this.__clientValidationErrors = errors;
+        return Object.keys(errors).length === 0;
+    }
+
+    // Builds a rejection for `save()` and `saveAll()` with `valErrors` in the same shape the backend uses.
+    __clientValidationError(models) {
+        const valErrors = {};
+        models.forEach(model => {
+            if (Object.keys(model.__clientValidationErrors).length === 0) {
+                return;
+            }
+            const bname = model.constructor.backendResourceName;
+            valErrors[bname] = valErrors[bname] || {};
+            valErrors[bname][model.getInternalId()] = mapKeys(
+                toJS(model.__clientValidationErrors),
+                (value, key) => model.constructor.toBackendAttrKey(key)
+            );
+        });
+        const err = new Error('[mobx-spine] Client validation failed.');
+        err.valErrors = valErrors;
+        return err;
+    }
+
     @action
     clearValidationErrors() {
         this.__backendValidationErrors = {};
+        this.__clientValidationErrors = {};
         this.__activeCurrentRelations.forEach(currentRel => {
             this[currentRel].clearValidationErrors();
         });
@@ -877,33 +1472,110 @@ export default class Model {
         return this.__backendValidationErrors;
     }
 
+    @computed
+    get clientValidationErrors() {
+        return mapValues(this.__clientValidationErrors, errors =>
+            errors.map(this.validationErrorFormatter)
+        );
+    }
+
+    // Client and backend errors merged, e.g. `{ name: ['required', 'unique'] }`.
+    @computed
+    get validationErrors() {
+        const errors = {};
+        [this.clientValidationErrors, this.backendValidationErrors].forEach(source => {
+            forIn(source, (fieldErrors, field) => {
+                if (fieldErrors) {
+                    errors[field] = uniq((errors[field] || []).concat(fieldErrors.slice()));
+                }
+            });
+        });
+        return errors;
+    }
+
     @action
     delete(options = {}) {
+        const stores = this.__getStores();
+        // Remember the positions in the stores, so an optimistic delete can put the model back when it fails.
+        const positions = stores.map(store => ({
+            store,
+            index: store.models.indexOf(this),
+            setChanged: store.__setChanged,
+        }));
         const removeFromStore = () =>
-            this.__store ? this.__store.remove(this) : null;
-        if (options.immediate || this.isNew) {
+            this.__getStores().forEach(store => store.remove(this));
+        const removeImmediately = options.immediate || options.optimistic;
+        if (removeImmediately || this.isNew) {
             removeFromStore();
         }
         if (this.isNew) {
             return Promise.resolve();
         }
+        const api = this.__getApi();
+        const url = options.url || this.url;
+        const requestOptions = omit(options, ['immediate', 'url', 'optimistic']);
+        if (api.offlineQueue && api.offlineQueue.shouldQueue) {
+            api.offlineQueue.delete(this, { url, requestOptions });
+            if (!removeImmediately) {
+                removeFromStore();
+            }
+            this.__removeFromRepository();
+            return Promise.resolve();
+        }
 
         return this.wrapPendingRequestCount(
-            this.__getApi()
+            this.__trackRequest(cancelToken => api
             .deleteModel({
-                url: options.url || this.url,
-                requestOptions: omit(options, ['immediate', 'url']),
-            })
+                url,
+                model: this,
+                requestOptions: { ...requestOptions, cancelToken },
+            }))
             .then(
                 action(() => {
-                    if (!options.immediate) {
+                    if (!removeImmediately) {
                         removeFromStore();
                     }
+                    this.__removeFromRepository();
+                    this.__invalidateCache([this]);
+                })
+            )
+            .catch(
+                action(err => {
+                    if (options.optimistic) {
+                        positions.forEach(({ store, index, setChanged }) => {
+                            if (index !== -1 && !store.models.includes(this)) {
+                                store.models.splice(Math.min(index, store.models.length), 0, this);
+                                store.__setChanged = setChanged;
+                            }
+                        });
+                    }
+                    throw err;
                 })
             )
         );
     }
 
+    // The stores that hold the model; with a repository, that can be more than its own store.
+    __getStores() {
+        const stores = this.__sharedStores.filter(store => store.models.includes(this));
+        return this.__store ? [this.__store, ...stores] : stores;
+    }
+
+    __removeFromRepository() {
+        const repository = this.__getRepository();
+        if (repository) {
+            repository.remove(this);
+        }
+    }
+
+    // Cached fetches of the resources of `models` are outdated after saving or deleting them.
+    __invalidateCache(models) {
+        const api = this.__getApi();
+        uniq(models.map(model => model.constructor.backendResourceName)).forEach(
+            resource => invalidateCache(api, resource)
+        );
+    }
+
     buildFetchData(options) {
         return Object.assign(
             this.__getApi().buildFetchModelParams(this),
@@ -916,16 +1588,35 @@ export default class Model {
     fetch(options = {}) {
         invariant(!this.isNew, 'Trying to fetch model without id!');
 
+        // A new fetch supersedes the one in progress, so an older - slower - response can't overwrite newer data.
+        if (this.__fetchRequest) {
+            this.__fetchRequest.cancel();
+        }
         const data = this.buildFetchData(options);
+        const api = this.__getApi();
+        const url = options.url || this.url;
+        const requestOptions = omit(options, ['data', 'url', 'cache']);
+        const request = this.__trackRequest(cancelToken =>
+            fetchCached(
+                api,
+                this,
+                options.cache === false ? null : this.constructor.backendResourceName,
+                [url, data, requestOptions],
+                token => api.fetchModel({ url, data, model: this, requestOptions: { ...requestOptions, cancelToken: token } }),
+                // A stale cached result was used; show the fresh one, unless the model fetched again since.
+                action(fresh => {
+                    if (this.__fetchRequest === request) {
+                        this.fromBackend(fresh.result);
+                    }
+                }),
+                cancelToken
+            )
+        );
+        this.__fetchRequest = request;
         const promise = this.wrapPendingRequestCount(
-            this.__getApi()
-            .fetchModel({
-                url: options.url || this.url,
-                data,
-                requestOptions: omit(options, ['data', 'url']),
-            })
+            request
             .then(action(res => {
-                this.fromBackend(res);
+                this.fromBackend(res.result);
             }))
         );
 
@@ -0,0 +1,387 @@
+import { observable, computed, action } from 'mobx';
+import { get, forIn, isArray, isPlainObject, uniq } from 'lodash';
+import Store from './Store';
+import { invalidateCache } from './Cache';
+import { invariant, isCancel, uuid } from './utils';
+
+const AVAILABLE_OPTIONS = ['storage', 'key', 'online', 'models'];
+// Temporary ids are below the negative ids of new models (see `getNegativeId()`), so they don't clash.
+const TEMP_ID_OFFSET = -1000000;
+
+// Keeps items in memory, with the interface of `localStorage`.
+export class MemoryStorage {
+    __items = {};
+
+    getItem(key) {
+        return key in this.__items ? this.__items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.__items[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.__items[key];
+    }
+}
+
+// A request that failed without a response, so it can be sent again later.
+function isNetworkError(err) {
+    return !!err.config && !err.response && !isCancel(err);
+}
+
+// `{ animal: [[-1, 10]] }` => `{ animal: { '-1': 10 } }`
+function toIdLookup(idMap) {
+    const lookup = {};
+    forIn(idMap, (pairs, resource) => {
+        lookup[resource] = {};
+        pairs.forEach(([oldId, newId]) => {
+            lookup[resource][oldId] = newId;
+        });
+    });
+    return lookup;
+}
+
+// Replaces the ids of `idMap` (see `toIdLookup()`) in the url and data of `entry`.
+function remapEntry(entry, idMap) {
+    const lookup = toIdLookup(idMap);
+    const remap = (resource, id) => {
+        const newId = get(lookup, [resource, id]);
+        return newId === undefined ? id : newId;
+    };
+    const remapRecord = (resource, record) => {
+        if (!record) {
+            return;
+        }
+        record[entry.primaryKey] = remap(resource, record[entry.primaryKey]);
+        forIn(entry.refs[resource], (relResource, field) => {
+            const value = record[field];
+            record[field] = isArray(value)
+                ? value.map(id => remap(relResource, id))
+                : remap(relResource, value);
+        });
+    };
+    const newId = remap(entry.resource, entry.modelId);
+    if (newId !== entry.modelId) {
+        entry.url = entry.url.replace(`/${entry.modelId}/`, `/${newId}/`);
+        entry.modelId = newId;
+    }
+    if (entry.type === 'save') {
+        remapRecord(entry.resource, entry.data);
+    }
+    if (entry.type === 'saveAll') {
+        entry.data.data.forEach(record => remapRecord(entry.resource, record));
+        forIn(entry.data.relations, (records, resource) => {
+            records.forEach(record => remapRecord(resource, record));
+        });
+    }
+}
+
+// The backend resource of the records in relation `name` of `model`, like `toBackendAll()` names them.
+function relationResource(model, name) {
+    const rel = model[name];
+    const relBackendName = model.constructor.toBackendAttrKey(name);
+    if (rel instanceof Store) {
+        return rel.constructor.backendResourceName || rel.Model.backendResourceName || relBackendName;
+    }
+    return rel.constructor.backendResourceName || relBackendName;
+}
+
+// Queues the `save()`, `saveAll()` and `delete()` calls of models while offline, stores them in
+// `storage`, and sends them in order once online again. Create one for an api with
+// `new OfflineQueue(api, options)`.
+//
+// Models are updated right away, as if they were saved. New models get a temporary negative id, so
+// later changes can refer to them; once created, the ids in the queued requests and in the models are
+// replaced with the real ones.
+//
+// The apis need a model to send a request. After a reload, it is made from the model class of the
+// entry in `models`.
+export default class OfflineQueue {
+    // Where the queue is kept between sessions; anything with the interface of `localStorage`.
+    storage = null;
+    key = 'mobx-spine-offline-queue';
+    // The model classes by their `backendResourceName`: `{ animal: Animal }`.
+    models = {};
+    @observable isOnline = true;
+    @observable isReplaying = false;
+    // `[{ id, type, resource, url, data, isNew, modelId, primaryKey, relations, refs, requestOptions }]`
+    @observable.shallow entries = [];
+    // Entries the backend rejected, with their `error`: `{ message, status, valErrors }`.
+    @observable.shallow failed = [];
+    // The models of the entries and failed entries, when they were queued in this session.
+    __models = {};
+    __replaying = null;
+    __lastTempId = TEMP_ID_OFFSET;
+
+    constructor(api, options = {}) {
+        invariant(api, 'OfflineQueue needs an api.');
+        invariant(
+            isPlainObject(options),
+            'OfflineQueue only accepts an object with options.'
+        );
+        forIn(options, (value, option) => {
+            invariant(
+                AVAILABLE_OPTIONS.includes(option),
+                `Unknown option passed to offline queue: ${option}`
+            );
+        });
+        this.api = api;
+        this.storage = options.storage || new MemoryStorage();
+        if (options.key) {
+            this.key = options.key;
+        }
+        if (options.models) {
+            this.models = options.models;
+        }
+        this.isOnline =
+            options.online !== undefined
+                ? options.online
+                : typeof navigator === 'undefined' || navigator.onLine !== false;
+        this.__load();
+        api.offlineQueue = this;
+        if (this.isOnline && this.entries.length > 0) {
+            this.replay();
+        }
+    }
+
+    @computed
+    get length() {
+        return this.entries.length;
+    }
+
+    // While offline, and until the queue is empty, mutations are queued so they are sent in order.
+    get shouldQueue() {
+        return !this.isOnline || this.entries.length > 0;
+    }
+
+    @action
+    __load() {
+        const stored = JSON.parse(this.storage.getItem(this.key) || 'null');
+        this.entries = get(stored, 'entries', []);
+        this.failed = get(stored, 'failed', []);
+        // Temporary ids of a previous session must not be handed out again.
+        const tempIds = this.entries
+            .concat(this.failed)
+            .map(entry => entry.modelId)
+            .filter(id => id < 0);
+        this.__lastTempId = Math.min(TEMP_ID_OFFSET, ...tempIds);
+    }
+
+    __persist() {
+        this.storage.setItem(
+            this.key,
+            JSON.stringify({ entries: this.entries, failed: this.failed })
+        );
+    }
+
+    // The backend resources of the relations of `models`: `{ animal: { kind: 'kind', past_owners: 'person' } }`.
+    __buildRefs(models) {
+        const refs = {};
+        models.forEach(model => {
+            const resource = model.constructor.backendResourceName;
+            refs[resource] = refs[resource] || {};
+            model.__activeCurrentRelations.forEach(name => {
+                refs[resource][model.constructor.toBackendAttrKey(name)] = relationResource(model, name);
+            });
+        });
+        return refs;
+    }
+
+    // `idMap` has the ids in `entry` to replace, see `__assignTempIds()`.
+    @action
+    __enqueue(model, entry, models = [model], idMap = {}) {
+        const ModelClass = model.constructor;
+        const full = {
+            id: uuid(),
+            resource: ModelClass.backendResourceName,
+            modelId: model[ModelClass.primaryKey],
+            primaryKey: ModelClass.toBackendAttrKey(ModelClass.primaryKey),
+            relations: model.__activeRelations.filter(rel => rel !== null),
+            refs: this.__buildRefs(models),
+            ...entry,
+        };
+        remapEntry(full, idMap);
+        this.__models[full.id] = model;
+        this.entries.push(full);
+        this.__persist();
+        return full;
+    }
+
+    // Gives new models a temporary id, so they are not created twice and other models can refer to them.
+    // Returns their negative ids with the temporary ids, like `{ animal: [[-1, -1000001]] }`.
+    __assignTempIds(models) {
+        const idMap = {};
+        models.forEach(model => {
+            if (model.isNew) {
+                const resource = model.constructor.backendResourceName;
+                this.__lastTempId -= 1;
+                idMap[resource] = (idMap[resource] || []).concat([[model.getNegativeId(), this.__lastTempId]]);
+                model[model.constructor.primaryKey] = this.__lastTempId;
+            }
+        });
+        return idMap;
+    }
+
+    save(model, { url, data, requestOptions }) {
+        const isNew = model.isNew;
+        this.__assignTempIds([model]);
+        this.__enqueue(model, {
+            type: 'save',
+            // A new model is created at its `urlRoot`, like `save()` does.
+            url,
+            data,
+            isNew,
+            requestOptions,
+        });
+    }
+
+    saveAll(model, { url, data, models, requestOptions }) {
+        // `data` refers to the new models by their negative id.
+        const idMap = this.__assignTempIds(models);
+        this.__enqueue(model, { type: 'saveAll', url, data, requestOptions }, models, idMap);
+    }
+
+    delete(model, { url, requestOptions }) {
+        this.__enqueue(model, { type: 'delete', url, requestOptions });
+    }
+
+    @action
+    setOnline(online) {
+        this.isOnline = online;
+        if (online) {
+            return this.replay();
+        }
+        return Promise.resolve();
+    }
+
+    // Sends the queued entries in order. Resolves when the queue is empty, or when sending failed
+    // because the network is down again.
+    replay() {
+        if (!this.__replaying) {
+            this.isReplaying = true;
+            const done = action(() => {
+                this.__replaying = null;
+                this.isReplaying = false;
+            });
+            this.__replaying = this.__replayNext();
+            this.__replaying.then(done, done);
+        }
+        return this.__replaying;
+    }
+
+    __replayNext() {
+        const entry = this.entries[0];
+        if (!entry || !this.isOnline) {
+            return Promise.resolve();
+        }
+        const model = this.__models[entry.id] || null;
+        // Also when it can't be sent at all, the entry is moved to `failed`.
+        return new Promise(resolve => resolve(this.__send(entry, model || this.__restoreModel(entry)))).then(
+            action(res => {
+                const idMap = this.__idMap(entry, res);
+                if (idMap) {
+                    this.__remapIds(idMap);
+                }
+                this.__remove(entry);
+                delete this.__models[entry.id];
+                this.__invalidateCache(entry);
+                this.__persist();
+                return this.__replayNext();
+            }),
+            action(err => {
+                if (isNetworkError(err)) {
+                    this.isOnline = false;
+                    return;
+                }
+                this.__remove(entry);
+                this.failed.push({
+                    ...entry,
+                    error: {
+                        message: err.message,
+                        status: get(err, 'response.status', null),
+                        valErrors: err.valErrors || null,
+                    },
+                });
+                if (model && err.valErrors) {
+                    model.parseValidationErrors(err.valErrors);
+                }
+                this.__persist();
+                return this.__replayNext();
+            })
+        );
+    }
+
+    // The model of an entry of a previous session, with the id and relations it had.
+    __restoreModel(entry) {
+        const ModelClass = this.models[entry.resource];
+        invariant(
+            ModelClass,
+            `OfflineQueue needs the model of \`${entry.resource}\` in its \`models\` option to send a request of a previous session.`
+        );
+        return new ModelClass(
+            { [ModelClass.primaryKey]: entry.modelId },
+            { relations: entry.relations }
+        );
+    }
+
+    __send(entry, model) {
+        const { url, data, isNew, requestOptions } = entry;
+        switch (entry.type) {
+            case 'save':
+                return this.api.saveModel({ url, data, isNew, model, requestOptions });
+            case 'saveAll':
+                return this.api.saveAllModels({ url, data, model, requestOptions });
+            default:
+                return this.api.deleteModel({ url, model, requestOptions });
+        }
+    }
+
+    @action
+    __remove(entry) {
+        this.entries = this.entries.filter(e => e !== entry);
+    }
+
+    // The ids the backend gave to the models the entry created, like `{ animal: [[-1, 10]] }`.
+    __idMap(entry, res) {
+        if (entry.type === 'saveAll') {
+            return get(res, 'idmap', null);
+        }
+        const newId = get(res, ['data', entry.primaryKey]);
+        if (entry.type === 'save' && entry.isNew && newId !== undefined) {
+            return { [entry.resource]: [[entry.modelId, newId]] };
+        }
+        return null;
+    }
+
+    // Replaces temporary ids in the queued entries and in their models.
+    __remapIds(idMap) {
+        this.entries.forEach(entry => remapEntry(entry, idMap));
+        // Models that were created are found through the models of the queue; relations are the same instances.
+        forIn(this.__models, model => model.__parseNewIds(idMap));
+    }
+
+    __invalidateCache(entry) {
+        uniq([entry.resource, ...Object.keys(entry.refs)]).forEach(
+            resource => invalidateCache(this.api, resource)
+        );
+    }
+
+    // Queues the failed entries again, and sends them when online.
+    @action
+    retryFailed() {
+        this.entries = this.failed.map(({ error, ...entry }) => entry).concat(this.entries.slice());
+        this.failed = [];
+        this.__persist();
+        return this.isOnline ? this.replay() : Promise.resolve();
+    }
+
+    @action
+    discardFailed() {
+        this.failed.forEach(entry => {
+            delete this.__models[entry.id];
+        });
+        this.failed = [];
+        this.__persist();
+    }
+}
@@ -0,0 +1,104 @@
+import { invariant } from './utils';
+
+// A pagination strategy knows which params to send to fetch the current page, and how to move between pages.
+// Set one as `pagination` on a store; `offset` is the default.
+
+function hasNextPageNumber(store) {
+    return store.__state.currentPage + 1 <= store.totalPages;
+}
+
+function hasPreviousPageNumber(store) {
+    return store.__state.currentPage > 1;
+}
+
+function nextPageNumber(store) {
+    store.__state.currentPage += 1;
+}
+
+function previousPageNumber(store) {
+    store.__state.currentPage -= 1;
+}
+
+function setPageNumber(store, page) {
+    store.__state.currentPage = page;
+}
+
+const PAGINATION = {
+    offset: {
+        params(store) {
+            const offset = store.getPageOffset();
+            const limit = store.__state.limit;
+            return {
+                limit: limit === null ? 'none' : limit,
+                // Hide offset if zero so the request looks cleaner in DevTools.
+                offset: offset || null,
+            };
+        },
+        hasNextPage: hasNextPageNumber,
+        hasPreviousPage: hasPreviousPageNumber,
+        next: nextPageNumber,
+        previous: previousPageNumber,
+        setPage: setPageNumber,
+    },
+    page: {
+        params(store) {
+            const limit = store.__state.limit;
+            return {
+                page: store.__state.currentPage,
+                page_size: limit === null ? 'none' : limit,
+            };
+        },
+        hasNextPage: hasNextPageNumber,
+        hasPreviousPage: hasPreviousPageNumber,
+        next: nextPageNumber,
+        previous: previousPageNumber,
+        setPage: setPageNumber,
+    },
+    // The backend returns tokens for the next and previous page, which the api puts in `nextCursor` and `previousCursor`.
+    cursor: {
+        params(store) {
+            const limit = store.__state.limit;
+            return {
+                limit: limit === null ? 'none' : limit,
+                cursor: store.__state.cursor,
+            };
+        },
+        hasNextPage(store) {
+            return !!store.__state.nextCursor;
+        },
+        hasPreviousPage(store) {
+            return !!store.__state.previousCursor;
+        },
+        next(store) {
+            store.__state.cursor = store.__state.nextCursor;
+            store.__state.currentPage += 1;
+        },
+        previous(store) {
+            store.__state.cursor = store.__state.previousCursor;
+            store.__state.currentPage -= 1;
+        },
+        setPage(store, page) {
+            invariant(
+                page === 1,
+                'With cursor pagination, only the first page can be set.'
+            );
+            store.__state.cursor = null;
+            store.__state.currentPage = 1;
+        },
+    },
+    // All models are fetched at once, and filtered, sorted and paged in memory; see `Store.pageModels`.
+    // Moving between pages doesn't fetch.
+    local: {
+        local: true,
+        params() {
+            return { limit: 'none' };
+        },
+        hasNextPage: hasNextPageNumber,
+        hasPreviousPage: hasPreviousPageNumber,
+        next: nextPageNumber,
+        previous: previousPageNumber,
+        setPage: setPageNumber,
+    },
+};
+
+export default PAGINATION;
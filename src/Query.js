@@ -0,0 +1,138 @@
+import { flatMap, flattenDeep, isArray, uniq } from 'lodash';
+import { invariant } from './utils';
+import { parseSortSpec } from './Comparator';
+
+export const LOOKUPS = [
+    'exact',
+    'iexact',
+    'in',
+    'contains',
+    'icontains',
+    'startswith',
+    'istartswith',
+    'endswith',
+    'iendswith',
+    'gt',
+    'gte',
+    'lt',
+    'lte',
+    'range',
+    'isnull',
+];
+
+// Conditions that all (`and`) or any (`or`) have to match. A condition is `{ field, path, lookup, value }`,
+// where `path` are the backend keys of the field, e.g. `['kind', 'name']` for `kind.name`.
+export class QueryGroup {
+    conditions = [];
+
+    // `resolve(field)` returns the path of a field, or throws when it doesn't exist.
+    constructor(type, resolve) {
+        this.type = type;
+        this.__resolve = resolve;
+    }
+
+    // `where('name', 'icontains', 'w')`, or `where('name', 'Woofer')` to compare exactly.
+    where(field, lookup, value) {
+        if (arguments.length === 2) {
+            value = lookup;
+            lookup = 'exact';
+        }
+        invariant(
+            LOOKUPS.includes(lookup),
+            `Unknown lookup \`${lookup}\` in query, expecting one of: ${LOOKUPS.join(', ')}.`
+        );
+        invariant(
+            !['in', 'range'].includes(lookup) || isArray(value),
+            `Lookup \`${lookup}\` needs an array as value.`
+        );
+        this.conditions.push({ field, path: this.__resolve(field), lookup, value });
+        return this;
+    }
+
+    // Adds a group of which any condition has to match: `whereAny(q => q.where(...).where(...))`.
+    whereAny(fn) {
+        return this.__addGroup('or', fn);
+    }
+
+    // Adds a group of which all conditions have to match; useful inside `whereAny()`.
+    whereAll(fn) {
+        return this.__addGroup('and', fn);
+    }
+
+    __addGroup(type, fn) {
+        const group = new QueryGroup(type, this.__resolve);
+        fn(group);
+        this.conditions.push(group);
+        return this;
+    }
+}
+
+// For backends that take every condition as a query param, an OR group can only be written when it
+// compares one field, as an `in` lookup.
+function orAsIn(group) {
+    const conditions = group.conditions;
+    if (conditions.length === 1 && !(conditions[0] instanceof QueryGroup)) {
+        return conditions[0];
+    }
+    invariant(
+        conditions.every(
+            c =>
+                !(c instanceof QueryGroup) &&
+                ['exact', 'in'].includes(c.lookup) &&
+                c.field === conditions[0].field
+        ),
+        'An OR group can only be written as query params when it compares one field, e.g. `whereAny(q => q.where(\'color\', \'brown\').where(\'color\', \'black\'))`. Override `buildQueryParams()` of the api to write other groups.'
+    );
+    return {
+        field: conditions[0].field,
+        path: conditions[0].path,
+        lookup: 'in',
+        value: uniq(flatMap(conditions, c => (c.lookup === 'in' ? c.value : [c.value]))),
+    };
+}
+
+function flatten(group) {
+    return flatMap(group.conditions, condition => {
+        if (!(condition instanceof QueryGroup)) {
+            return [condition];
+        }
+        if (condition.type === 'and') {
+            return flatten(condition);
+        }
+        return condition.conditions.length > 0 ? [orAsIn(condition)] : [];
+    });
+}
+
+// The filters, ordering and search of a store, built with `Store.where()`, `Store.orderBy()` and
+// `Store.search()`. The api writes it out as params, see `Api.buildQueryParams()`.
+export default class Query {
+    // `[{ field, path, desc }]`
+    ordering = [];
+    search = null;
+
+    constructor(resolve) {
+        this.filters = new QueryGroup('and', resolve);
+        this.__resolve = resolve;
+    }
+
+    // `orderBy(['-createdAt', 'name'])`, a sort spec like a `comparator` of a store.
+    orderBy(spec) {
+        this.ordering = parseSortSpec(flattenDeep(spec)).map(({ field, desc }) => {
+            return { field, path: this.__resolve(field), desc };
+        });
+    }
+
+    // The conditions as a flat list that all have to match, for backends that take every condition
+    // as a query param.
+    flatConditions() {
+        const conditions = flatten(this.filters);
+        const keys = conditions.map(c => JSON.stringify([c.path, c.lookup]));
+        keys.forEach((key, i) => {
+            invariant(
+                keys.indexOf(key) === i,
+                `Field \`${conditions[i].field}\` is queried twice with lookup \`${conditions[i].lookup}\`.`
+            );
+        });
+        return conditions;
+    }
+}
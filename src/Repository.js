@@ -0,0 +1,52 @@
+// An identity map: makes sure the same backend record is the same model instance in every store and relation.
+// Pass it as the `repository` option to a model or store, or set it as `repository` on the api.
+// Models are identified by their `backendResourceName` and primary key; models without a
+// `backendResourceName` are not shared.
+export default class Repository {
+    // `{ [backendResourceName]: { [primaryKey]: model } }`
+    __models = {};
+
+    // Only returns a model that has (at least) the given relations, so it can be used in their place.
+    get(ModelClass, id, relations = []) {
+        const bname = ModelClass.backendResourceName;
+        if (!bname || id === null || id === undefined || !this.__models[bname]) {
+            return undefined;
+        }
+        const model = this.__models[bname][id];
+        if (!(model instanceof ModelClass)) {
+            return undefined;
+        }
+        // Relations can contain `null`, see `Model.__parseRelations()`.
+        const hasRelations = relations.every(rel =>
+            rel === null ||
+            model.__activeRelations.some(
+                activeRel => activeRel === rel || (activeRel !== null && activeRel.startsWith(`${rel}.`))
+            )
+        );
+        return hasRelations ? model : undefined;
+    }
+
+    add(model) {
+        const bname = model.constructor.backendResourceName;
+        if (!bname || model.isNew) {
+            return;
+        }
+        if (!this.__models[bname]) {
+            this.__models[bname] = {};
+        }
+        this.__models[bname][model[model.constructor.primaryKey]] = model;
+    }
+
+    remove(model) {
+        const bname = model.constructor.backendResourceName;
+        const models = this.__models[bname];
+        const id = model[model.constructor.primaryKey];
+        if (models && models[id] === model) {
+            delete models[id];
+        }
+    }
+
+    clear() {
+        this.__models = {};
+    }
+}
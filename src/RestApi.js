@@ -0,0 +1,141 @@
+import { isArray, isPlainObject, isString, mapValues, castArray } from 'lodash';
+import Api from './Api';
+import { getHeader, getQueryParam } from './utils';
+
+// Parses a `Link` header into `{ [rel]: url }`, e.g. `<https://a.com/?page=2>; rel="next"`.
+export function parseLinkHeader(header) {
+    const links = {};
+    if (!header) {
+        return links;
+    }
+    header.split(/,\s*(?=<)/).forEach(link => {
+        const match = link.match(/^\s*<([^>]*)>(.*)$/);
+        if (!match) {
+            return;
+        }
+        const rel = match[2].match(/;\s*rel="?([^";]+)"?/i);
+        if (rel) {
+            rel[1].trim().split(/\s+/).forEach(name => {
+                links[name] = match[1];
+            });
+        }
+    });
+    return links;
+}
+
+// An api for conventional REST backends:
+//
+// - Relations are embedded in a record as nested objects (or lists of objects).
+// - A list responds with an array of records; the total is read from the `X-Total-Count` header and
+//   the cursors for cursor pagination from the `next` and `prev` urls in the `Link` header.
+// - Validation errors respond with status 400 or 422 and `{ [field]: [error] }`, optionally wrapped in `errors`.
+export default class RestApi extends Api {
+    // The query param in the `Link` urls that holds the cursor.
+    cursorParam = 'cursor';
+    // The query params for the ordering and search of a query, see `buildQueryParams()`.
+    orderingParam = 'ordering';
+    searchParam = 'search';
+    // Model urls end with a slash, which is removed unless this is `true`.
+    trailingSlash = false;
+
+    __request(method, url, data, options) {
+        if (!this.trailingSlash) {
+            url = url.replace(/(.)\/+$/, '$1');
+        }
+        return super.__request(method, url, data, options);
+    }
+
+    parseBackendValidationErrors(response, model) {
+        if (![400, 422].includes(response.status) || !isPlainObject(response.data)) {
+            return null;
+        }
+        const errors = isPlainObject(response.data.errors)
+            ? response.data.errors
+            : response.data;
+        return {
+            [model.constructor.backendResourceName]: {
+                [model.getInternalId()]: mapValues(errors, fieldErrors =>
+                    castArray(fieldErrors).map(
+                        error => (isString(error) ? { code: error } : error)
+                    )
+                ),
+            },
+        };
+    }
+
+    fetchModel({ url, data, requestOptions }) {
+        return this.get(url, data, { ...requestOptions, withHeaders: true }).then(res => {
+            return { data: res.data, etag: getHeader(res.headers, 'etag') || null };
+        });
+    }
+
+    saveModel({ url, data, isNew, model, requestOptions }) {
+        const method = isNew ? 'post' : 'patch';
+        return this[method](url, data, { ...requestOptions, withHeaders: true })
+            .then(res => {
+                return { data: res.data, etag: getHeader(res.headers, 'etag') || null };
+            })
+            .catch(err => {
+                if (err.response) {
+                    err.valErrors = this.parseBackendValidationErrors(
+                        err.response,
+                        model
+                    );
+                }
+                throw err;
+            });
+    }
+
+    deleteModel({ url, requestOptions }) {
+        return this.delete(url, null, requestOptions);
+    }
+
+    buildFetchStoreParams(store) {
+        // Without a limit, REST backends return everything by default.
+        if (store.__state.limit === null || store.isLocal) {
+            return {};
+        }
+        return store.pagination.params(store);
+    }
+
+    // Filters like django-filter: `kind__name__icontains=w`, and orders with `ordering=-created_at,name`.
+    buildQueryParams(query) {
+        const params = {};
+        query.flatConditions().forEach(({ path, lookup, value }) => {
+            const key = lookup === 'exact' ? path : path.concat(lookup);
+            params[key.join('__')] = isArray(value) ? value.join(',') : value;
+        });
+        if (query.ordering.length > 0) {
+            params[this.orderingParam] = query.ordering
+                .map(({ path, desc }) => `${desc ? '-' : ''}${path.join('__')}`)
+                .join(',');
+        }
+        if (query.search !== null) {
+            params[this.searchParam] = query.search;
+        }
+        return params;
+    }
+
+    fetchStore({ url, data, requestOptions }) {
+        return this.get(url, data, {
+            ...requestOptions,
+            skipFormatter: true,
+        }).then(res => {
+            const links = parseLinkHeader(getHeader(res.headers, 'link'));
+            const totalCount = getHeader(res.headers, 'x-total-count');
+            return {
+                response: res.data,
+                data: res.data,
+                totalRecords:
+                    totalCount === undefined
+                        ? res.data.length
+                        : parseInt(totalCount),
+                nextCursor: getQueryParam(links.next, this.cursorParam),
+                previousCursor: getQueryParam(
+                    links.prev || links.previous,
+                    this.cursorParam
+                ),
+            };
+        });
+    }
+}
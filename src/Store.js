@@ -1,5 +1,6 @@
-import { observable, computed, action, autorun } from 'mobx';
+import { observable, computed, action, autorun, reaction, comparer, toJS } from 'mobx';
 import {
+    castArray,
     isArray,
     map,
     filter,
@@ -10,22 +11,60 @@ import {
     isPlainObject,
     result,
     uniqBy,
+    isEqual,
 } from 'lodash';
-import { invariant } from './utils';
+import { invariant, cancellable, isCancel } from './utils';
+import Pagination from './Pagination';
+import Query from './Query';
+import createComparator from './Comparator';
+import { fetchCached } from './Cache';
 const AVAILABLE_CONST_OPTIONS = [
     'relations',
     'limit',
     'comparator',
     'params',
     'repository',
+    'history',
+    'pagination',
+    'autoFetch',
 ];
 
+// One instance per model or store class, to look up the attributes and relations of a query path.
+// Creating one runs `initialize()`, so it is not done for every `where()` or `orderBy()`.
+const queryInstances = new Map();
+
+function getQueryInstance(Class) {
+    if (!queryInstances.has(Class)) {
+        queryInstances.set(Class, new Class());
+    }
+    return queryInstances.get(Class);
+}
+
 export default class Store {
     // Holds all models
     @observable models = [];
     // Holds the fetch parameters
     @observable params = {};
     @observable __pendingRequestCount = 0;
+    // The fetch that is in progress, so it can be aborted.
+    __fetchRequest = null;
+    // The last fetch, which may still get a fresh result when a stale cached result was used.
+    __lastFetchRequest = null;
+    // The params of the last fetch, so `loadMore()` knows when to start over.
+    __fetchedParams = null;
+    // `{ currentPage, limit }` of the last fetch.
+    __fetchedPage = null;
+    // Stops watching for `autoFetch`.
+    __disposeAutoFetch = null;
+    // The error of the last automatic fetch, when it failed and there is no `onError`; see `autoFetch`.
+    @observable.ref fetchError = null;
+    // The selected models by `getInternalId()`, so the selection is kept when fetching again.
+    __selectedIds = observable.map();
+    // After `selectAll()`, all records are selected, also the ones that are not loaded, except the
+    // models in `__deselectedIds`.
+    @observable __allSelected = false;
+    __deselectedIds = observable.map();
+    __loadMorePromise = null;
     // The set of models has changed
     @observable __setChanged = false;
     @observable
@@ -33,11 +72,34 @@ export default class Store {
         currentPage: 1,
         limit: 25,
         totalRecords: 0,
+        // Used by cursor pagination.
+        cursor: null,
+        nextCursor: null,
+        previousCursor: null,
+        // When the models were fetched from the backend (in ms), and which fetch that was for the
+        // cache, see `Cache`. `stale` is set when the models came from an expired cache entry.
+        fetchedAt: null,
+        fetchSeq: null,
+        stale: false,
     };
+    // How pages are fetched, see `Pagination`.
+    pagination = Pagination.offset;
+    // Sorts the models: a compare function, or a spec like `['-createdAt', 'name']`, see `parseSortSpec()`.
+    // Observed by `pageModels` with local pagination.
+    @observable.ref comparator = null;
+    // An `Intl.Collator` to compare strings with when sorting by a spec.
+    collator = undefined;
+    // Filters `pageModels` with local pagination, see `setFilter()`.
+    @observable.ref __localFilter = null;
+    // Built with `where()`, `orderBy()` and `search()`, and written to `params` by the api.
+    __query = new Query(field => this.__queryPath(field));
+    // The keys in `params` that were written from `__query`.
+    __queryParamKeys = [];
     __activeRelations = [];
     Model = null;
     api = null;
     __repository;
+    __history;
     static backendResourceName = '';
 
     url() {
@@ -59,6 +121,26 @@ export default class Store {
         return this.models.length;
     }
 
+    @computed
+    get lastFetchedAt() {
+        return this.__state.fetchedAt === null ? null : new Date(this.__state.fetchedAt);
+    }
+
+    // Whether the models came from an expired cache entry, or a model of the same resource was saved
+    // or deleted since they were fetched.
+    @computed
+    get isStale() {
+        if (this.__state.stale) {
+            return true;
+        }
+        const cache = this.api && this.api.cache;
+        return (
+            !!cache &&
+            this.__state.fetchSeq !== null &&
+            cache.isInvalidated(this.Model.backendResourceName, this.__state.fetchSeq)
+        );
+    }
+
     set backendResourceName(v) {
         invariant(
             false,
@@ -81,6 +163,7 @@ export default class Store {
             );
         });
         this.__repository = options.repository;
+        this.__history = options.history;
         if (options.relations) {
             this.__parseRelations(options.relations);
         }
@@ -93,6 +176,12 @@ export default class Store {
         if (options.params) {
             this.params = options.params;
         }
+        if (options.pagination) {
+            this.pagination = options.pagination;
+        }
+        if (options.autoFetch) {
+            this.__startAutoFetch(options.autoFetch);
+        }
         this.initialize();
     }
 
@@ -106,40 +195,125 @@ export default class Store {
             'You are trying to perform a API request without an `api` property defined on the store.'
         );
         invariant(
-            result(this, 'url'),
+            this.api.usesUrls === false || result(this, 'url'),
             'You are trying to perform a API request without an `url` property defined on the store.'
         );
         return this.api;
     }
 
+    // With `append`, the models are added to the existing models instead of replacing them.
+    // Models that are already in the store (by primary key) are updated instead.
     @action
-    fromBackend({ data, repos, relMapping, reverseRelMapping }) {
+    fromBackend({ data, repos, relMapping, reverseRelMapping }, options = {}) {
         invariant(
             data,
             'Backend error. Data is not set. HINT: DID YOU FORGET THE M2M again?'
         );
 
-        this.models.replace(
-            data.map(record => {
-                // TODO: I'm not happy at all about how this looks.
-                // We'll need to finetune some things, but hey, for now it works.
-                const model = this._newModel();
-                model.fromBackend({
-                    data: record,
-                    repos,
-                    relMapping,
-                    reverseRelMapping,
-                });
-                return model;
-            })
-        );
+        const models = data.map(record => {
+            const existing = options.append ? this.get(record[this.Model.primaryKey]) : null;
+            // TODO: I'm not happy at all about how this looks.
+            // We'll need to finetune some things, but hey, for now it works.
+            const model = existing || this.__getSharedModel(record) || this._newModel();
+            model.fromBackend({
+                data: record,
+                repos,
+                relMapping,
+                reverseRelMapping,
+            });
+            return model;
+        });
+        if (options.append) {
+            this.models.push(...models.filter(model => !this.models.includes(model)));
+        } else {
+            this.models.replace(models);
+        }
         this.sort();
     }
 
     _newModel(model = null) {
+        const shared = this.__getSharedModel(model);
+        if (shared) {
+            shared.parse(model);
+            return shared;
+        }
         return new this.Model(model, {
             store: this,
             relations: this.__activeRelations,
+            history: this.__history,
+            repository: this.__repository,
+        });
+    }
+
+    __getRepository() {
+        return this.__repository || (this.api && this.api.repository) || null;
+    }
+
+    // With a repository, the same record is the same model instance in every store and relation.
+    __getSharedModel(data) {
+        const repository = this.__getRepository();
+        if (!repository || !data) {
+            return undefined;
+        }
+        const model = repository.get(
+            this.Model,
+            data[this.Model.primaryKey],
+            this.__activeRelations
+        );
+        // So deleting the model removes it from this store as well.
+        if (model && model.__store !== this && !model.__sharedStores.includes(this)) {
+            model.__sharedStores.push(this);
+        }
+        return model;
+    }
+
+    // Runs `fn`, which changes the set of models, and records the change in the history if there is one.
+    __recordSetChange(fn) {
+        const history = this.__history;
+        if (!history) {
+            return fn();
+        }
+        const before = this.__captureSetState();
+        const result = history.__ignore(fn);
+        const after = this.__captureSetState();
+        history.__record({
+            undo: () => this.__restoreSetState(before),
+            redo: () => this.__restoreSetState(after),
+        });
+        return result;
+    }
+
+    __captureSetState() {
+        return {
+            models: this.models.slice(),
+            setChanged: this.__setChanged,
+        };
+    }
+
+    @action
+    __restoreSetState(state) {
+        this.models.replace(state.models);
+        this.__setChanged = state.setChanged;
+    }
+
+    // Captures the models in the store and their state, so it can be restored with `rollback()`.
+    checkpoint() {
+        return {
+            models: this.models.slice(),
+            modelCheckpoints: this.models.map(model => model.checkpoint()),
+            setChanged: this.__setChanged,
+        };
+    }
+
+    @action
+    rollback(checkpoint) {
+        invariant(
+            isPlainObject(checkpoint),
+            'Expecting a checkpoint created with `checkpoint()`.'
+        );
+        this.__restoreSetState(checkpoint);
+        this.models.forEach((model, i) => {
+            model.rollback(checkpoint.modelCheckpoints[i]);
         });
     }
 
@@ -152,14 +326,23 @@ export default class Store {
         if (!this.comparator) {
             return this;
         }
-        if (typeof this.comparator === 'string') {
-            this.models.replace(this.sortBy(this.comparator));
-        } else {
-            this.models.replace(this.models.slice().sort(this.comparator));
-        }
+        this.models.replace(this.__sortModels(this.models));
         return this;
     }
 
+    // Sorts by `comparator`. Models that are equal keep their order, e.g. new models stay after
+    // existing models.
+    __sortModels(models) {
+        const compare =
+            typeof this.comparator === 'function'
+                ? this.comparator
+                : createComparator(this.comparator, this.collator);
+        return models
+            .map((model, i) => ({ model, i }))
+            .sort((a, b) => compare(a.model, b.model) || a.i - b.i)
+            .map(({ model }) => model);
+    }
+
     @action
     parse(models) {
         invariant(
@@ -190,6 +373,10 @@ export default class Store {
 
     @action
     add(models) {
+        return this.__recordSetChange(() => this.__add(models));
+    }
+
+    __add(models) {
         const singular = !isArray(models);
         models = singular ? [models] : models.slice();
 
@@ -211,6 +398,10 @@ export default class Store {
 
     @action
     remove(models) {
+        return this.__recordSetChange(() => this.__remove(models));
+    }
+
+    __remove(models) {
         const singular = !isArray(models);
         models = singular ? [models] : models.slice();
 
@@ -223,6 +414,10 @@ export default class Store {
 
     @action
     removeById(ids) {
+        return this.__recordSetChange(() => this.__removeById(ids));
+    }
+
+    __removeById(ids) {
         const singular = !isArray(ids);
         ids = singular ? [ids] : ids.slice();
         invariant(
@@ -246,6 +441,10 @@ export default class Store {
 
     @action
     clear() {
+        return this.__recordSetChange(() => this.__clear());
+    }
+
+    __clear() {
         const length = this.models.length;
         this.models.clear();
 
@@ -262,28 +461,158 @@ export default class Store {
         );
     }
 
+    // Methods for building the params with a query.
+
+    // The backend keys of `field`, e.g. `['kind', 'name']` for `kind.name`. Throws when a part is not
+    // an attribute or relation of the model.
+    __queryPath(field) {
+        let model = getQueryInstance(this.Model);
+        return field.split('.').map(name => {
+            const relations = model && model.relations ? model.relations() : {};
+            invariant(
+                model && (model.__attributes.includes(name) || relations[name]),
+                `Field \`${field}\` does not exist on the model.`
+            );
+            const key = model.constructor.toBackendAttrKey(name);
+            const RelModel = relations[name];
+            if (!RelModel) {
+                model = null;
+            } else if (RelModel.prototype instanceof Store) {
+                model = getQueryInstance(getQueryInstance(RelModel).Model);
+            } else {
+                model = getQueryInstance(RelModel);
+            }
+            return key;
+        });
+    }
+
+    // Changes the query with `fn` and writes it to `params`. When the api can't write the changed
+    // query, it is left as it was.
+    @action
+    __updateQuery(fn) {
+        const query = this.__query;
+        const { ordering, search } = query;
+        const conditions = query.filters.conditions.slice();
+        try {
+            fn(query);
+            return this.__applyQuery();
+        } catch (err) {
+            Object.assign(query, { ordering, search });
+            query.filters.conditions = conditions;
+            throw err;
+        }
+    }
+
+    @action
+    __applyQuery() {
+        invariant(
+            this.api,
+            'You are trying to build a query without an `api` property defined on the store.'
+        );
+        const params = this.api.buildQueryParams(this.__query, this);
+        this.params = Object.assign(omit(toJS(this.params), this.__queryParamKeys), params);
+        this.__queryParamKeys = Object.keys(params);
+        return this;
+    }
+
+    // Filters the models to fetch: `where('name', 'icontains', 'w')`, or `where('name', 'Woofer')`.
+    // Fields are checked against the model, and can go through relations: `where('kind.name', 'Dog')`.
+    where(...args) {
+        return this.__updateQuery(query => query.filters.where(...args));
+    }
+
+    // Adds a group of conditions of which any has to match: `whereAny(q => q.where(...).where(...))`.
+    whereAny(fn) {
+        return this.__updateQuery(query => query.filters.whereAny(fn));
+    }
+
+    whereAll(fn) {
+        return this.__updateQuery(query => query.filters.whereAll(fn));
+    }
+
+    // `orderBy('-createdAt', 'name')` replaces the ordering; a `-` sorts descending. Also takes a sort
+    // spec, so a store can be ordered like its `comparator`: `orderBy(store.comparator)`.
+    orderBy(...fields) {
+        return this.__updateQuery(query => query.orderBy(fields));
+    }
+
+    search(term) {
+        return this.__updateQuery(query => {
+            query.search = term === '' || term === undefined ? null : term;
+        });
+    }
+
+    // Removes the filters, ordering and search from `params`.
+    clearQuery() {
+        this.__query = new Query(field => this.__queryPath(field));
+        return this.__applyQuery();
+    }
+
+    // Aborts the fetch in progress. Its promise rejects with an error for which `isCancel()` is true.
+    abortFetch() {
+        if (this.__fetchRequest) {
+            this.__fetchRequest.cancel();
+            this.__fetchRequest = null;
+        }
+    }
+
     @action
     fetch(options = {}) {
+        // A new fetch supersedes the one in progress, so an older - slower - response can't overwrite newer data.
+        this.abortFetch();
 
         const data = this.buildFetchData(options);
+        this.__fetchedParams = toJS(this.params);
+        this.__fetchedPage = { currentPage: this.__state.currentPage, limit: this.__state.limit };
+        const api = this.__getApi();
+        const url = options.url || result(this, 'url');
+        const requestOptions = omit(options, 'data', 'append', 'cache');
+        const request = cancellable(cancelToken =>
+            fetchCached(
+                api,
+                this,
+                options.cache === false ? null : this.Model.backendResourceName,
+                [url, data, requestOptions],
+                token => api.fetchStore({ url, data, store: this, requestOptions: { ...requestOptions, cancelToken: token } }),
+                // A stale cached result was used; show the fresh one, unless the store fetched again since.
+                action(fresh => {
+                    if (this.__lastFetchRequest === request) {
+                        this.__applyFetchResult(fresh, options);
+                    }
+                }),
+                cancelToken
+            )
+        );
+        this.__fetchRequest = request;
+        this.__lastFetchRequest = request;
+        const done = () => {
+            if (this.__fetchRequest === request) {
+                this.__fetchRequest = null;
+            }
+        };
+        request.then(done, done);
         const promise = this.wrapPendingRequestCount(
-            this.__getApi()
-            .fetchStore({
-                url: options.url || result(this, 'url'),
-                data,
-                requestOptions: omit(options, 'data'),
-            })
-            .then(action(res => {
-                this.__state.totalRecords = res.totalRecords;
-                this.fromBackend(res);
-
-                return res.response;
-            }))
+            request
+            .then(action(res => this.__applyFetchResult(res, options)))
         );
 
         return promise;
     }
 
+    // `res` is `{ result, fetchedAt, seq, stale }`, see `fetchCached()`.
+    @action
+    __applyFetchResult({ result: res, fetchedAt, seq, stale }, options) {
+        this.__state.totalRecords = res.totalRecords;
+        this.__state.nextCursor = res.nextCursor || null;
+        this.__state.previousCursor = res.previousCursor || null;
+        this.__state.fetchedAt = fetchedAt;
+        this.__state.fetchSeq = seq;
+        this.__state.stale = stale;
+        this.fromBackend(res, { append: options.append });
+
+        return res.response;
+    }
+
     __parseNewIds(idMaps) {
         this.each(model => model.__parseNewIds(idMaps));
     }
@@ -292,8 +621,77 @@ export default class Store {
         return this.models.map(model => model.toJS());
     }
 
+    // A plain JSON snapshot of the store: its models (see `Model.serialize()`), params and pagination
+    // state. `Store.deserialize()` turns it into a store again.
+    serialize() {
+        return {
+            models: this.models.map(model => model.serialize()),
+            activeRelations: this.__activeRelations.slice(),
+            params: toJS(this.params),
+            // The cache sequence of a fetch only means something in the session it was fetched in.
+            state: omit(toJS(this.__state), 'fetchSeq'),
+            setChanged: this.__setChanged,
+        };
+    }
+
+    static deserialize(snapshot, options = {}) {
+        invariant(
+            isPlainObject(snapshot),
+            'Expecting a snapshot created with `serialize()`.'
+        );
+        const store = new this({ ...options, relations: snapshot.activeRelations });
+        return store.__deserialize(snapshot);
+    }
+
+    @action
+    __deserialize(snapshot) {
+        this.models.replace(
+            snapshot.models.map(modelSnapshot => this._newModel().__deserialize(modelSnapshot))
+        );
+        this.params = snapshot.params;
+        Object.assign(this.__state, snapshot.state);
+        this.__setChanged = snapshot.setChanged;
+        return this;
+    }
+
     // Methods for pagination.
 
+    // With `Pagination.local`, all models are fetched and paging happens in memory.
+    @computed
+    get isLocal() {
+        return !!this.pagination.local;
+    }
+
+    // The models that pass the filter, sorted by `comparator`, without changing `models`.
+    @computed
+    get __localModels() {
+        const models = this.__localFilter ? this.models.filter(this.__localFilter) : this.models.slice();
+        return this.comparator ? this.__sortModels(models) : models;
+    }
+
+    // The models of the current page. With local pagination, they are filtered and sorted in memory;
+    // otherwise these are all `models`, because only the current page is fetched.
+    @computed
+    get pageModels() {
+        if (!this.isLocal) {
+            return this.models.slice();
+        }
+        if (!this.__state.limit) {
+            return this.__localModels;
+        }
+        const offset = this.getPageOffset();
+        return this.__localModels.slice(offset, offset + this.__state.limit);
+    }
+
+    // Only shows the models for which `predicate(model)` is true in `pageModels`, with local pagination.
+    // Goes back to the first page; `null` removes the filter.
+    @action
+    setFilter(predicate) {
+        invariant(this.isLocal, 'Filtering in memory needs local pagination.');
+        this.__localFilter = predicate || null;
+        this.__state.currentPage = 1;
+    }
+
     getPageOffset() {
         return (this.__state.currentPage - 1) * this.__state.limit;
     }
@@ -312,7 +710,8 @@ export default class Store {
         if (!this.__state.limit) {
             return 0;
         }
-        return Math.ceil(this.__state.totalRecords / this.__state.limit);
+        const totalRecords = this.isLocal ? this.__localModels.length : this.__state.totalRecords;
+        return Math.ceil(totalRecords / this.__state.limit);
     }
 
     @computed
@@ -322,26 +721,154 @@ export default class Store {
 
     @computed
     get hasNextPage() {
-        return this.__state.currentPage + 1 <= this.totalPages;
+        return this.pagination.hasNextPage(this);
     }
 
     @computed
     get hasPreviousPage() {
-        return this.__state.currentPage > 1;
+        return this.pagination.hasPreviousPage(this);
     }
 
     @action
     getNextPage() {
         invariant(this.hasNextPage, 'There is no next page.');
-        this.__state.currentPage += 1;
-        return this.fetch();
+        this.pagination.next(this);
+        return this.isLocal ? Promise.resolve() : this.fetch();
     }
 
     @action
     getPreviousPage() {
         invariant(this.hasPreviousPage, 'There is no previous page.');
-        this.__state.currentPage -= 1;
-        return this.fetch();
+        this.pagination.previous(this);
+        return this.isLocal ? Promise.resolve() : this.fetch();
+    }
+
+    // Adds the models of the next page to the models already loaded, e.g. for infinite scrolling.
+    // When `params` have changed since the last fetch, it starts over at the first page.
+    @action
+    loadMore() {
+        if (this.__loadMorePromise) {
+            return this.__loadMorePromise;
+        }
+        if (!isEqual(toJS(this.params), this.__fetchedParams)) {
+            this.reset();
+            return this.fetch();
+        }
+        invariant(this.hasNextPage, 'There is no next page.');
+        const { currentPage, cursor } = this.__state;
+        this.pagination.next(this);
+        const promise = this.fetch({ append: true })
+            .then(res => {
+                this.__loadMorePromise = null;
+                return res;
+            })
+            .catch(action(err => {
+                // Loading the page failed, so it can be tried again. Unless the store was reset in the meantime.
+                if (this.__loadMorePromise === promise) {
+                    this.__loadMorePromise = null;
+                    this.__state.currentPage = currentPage;
+                    this.__state.cursor = cursor;
+                }
+                throw err;
+            }));
+        this.__loadMorePromise = promise;
+        return promise;
+    }
+
+    // Go back to the first page without models, e.g. when the params for infinite scrolling change.
+    @action
+    reset() {
+        this.abortFetch();
+        this.models.clear();
+        this.__state.currentPage = 1;
+        this.__state.totalRecords = 0;
+        this.__state.cursor = null;
+        this.__state.nextCursor = null;
+        this.__state.previousCursor = null;
+        this.__state.fetchedAt = null;
+        this.__state.fetchSeq = null;
+        this.__state.stale = false;
+        this.__fetchedParams = null;
+        this.__fetchedPage = null;
+        this.__loadMorePromise = null;
+    }
+
+    // Whether the last fetch was for the current params, page and limit.
+    __isFetched() {
+        return (
+            isEqual(toJS(this.params), this.__fetchedParams) &&
+            (this.isLocal || isEqual(
+                { currentPage: this.__state.currentPage, limit: this.__state.limit },
+                this.__fetchedPage
+            ))
+        );
+    }
+
+    // Fetches again, `delay` ms after the last change of `params`, the page or the limit. When the
+    // params change, it starts over at the first page. Errors of these fetches go to `onError`, or
+    // to `fetchError` without it.
+    __startAutoFetch(options) {
+        const { delay = 300, onError } = options === true ? {} : options;
+        let lastParams = toJS(this.params);
+        let timeout = null;
+        const run = () => {
+            timeout = null;
+            if (this.__isFetched()) {
+                return;
+            }
+            this.fetch().then(
+                action(() => {
+                    this.fetchError = null;
+                }),
+                action(err => {
+                    if (isCancel(err)) {
+                        return;
+                    }
+                    if (onError) {
+                        onError(err);
+                    } else {
+                        this.fetchError = err;
+                    }
+                })
+            );
+        };
+        const disposeReaction = reaction(
+            // With local pagination, the page and limit are not fetched.
+            () => ({
+                params: toJS(this.params),
+                currentPage: this.isLocal ? null : this.__state.currentPage,
+                limit: this.isLocal ? null : this.__state.limit,
+            }),
+            action(({ params }) => {
+                if (!isEqual(params, lastParams)) {
+                    lastParams = params;
+                    if (this.__state.currentPage !== 1) {
+                        this.pagination.setPage(this, 1);
+                    }
+                }
+                // E.g. `setPage()` fetched already.
+                if (this.__isFetched()) {
+                    return;
+                }
+                // The fetch in progress is for old params.
+                this.abortFetch();
+                clearTimeout(timeout);
+                timeout = setTimeout(run, delay);
+            }),
+            { equals: comparer.structural }
+        );
+        this.__disposeAutoFetch = () => {
+            disposeReaction();
+            clearTimeout(timeout);
+        };
+    }
+
+    // Stops fetching automatically, see the `autoFetch` option.
+    dispose() {
+        if (this.__disposeAutoFetch) {
+            this.__disposeAutoFetch();
+            this.__disposeAutoFetch = null;
+        }
     }
 
     @action
@@ -350,8 +877,8 @@ export default class Store {
             Number.isInteger(page) && page >= 1,
             'Page should be a number above 1.'
         );
-        this.__state.currentPage = page;
-        if (options.fetch === undefined || options.fetch) {
+        this.pagination.setPage(this, page);
+        if (!this.isLocal && (options.fetch === undefined || options.fetch)) {
             return this.fetch();
         }
         invariant(
@@ -423,6 +950,130 @@ export default class Store {
         return store;
     }
 
+    // Methods for selecting models.
+
+    __selectionKey(model) {
+        return String(model.getInternalId());
+    }
+
+    isSelected(model) {
+        const key = this.__selectionKey(model);
+        return this.__allSelected ? !this.__deselectedIds.has(key) : this.__selectedIds.has(key);
+    }
+
+    // The selected models that are loaded.
+    @computed
+    get selected() {
+        return this.models.filter(model => this.isSelected(model));
+    }
+
+    // How many records are selected, including the ones on other pages after `selectAll()`.
+    @computed
+    get selectedCount() {
+        if (!this.__allSelected) {
+            return this.__selectedIds.size;
+        }
+        const total = Math.max(this.__state.totalRecords, this.models.length);
+        return Math.max(0, total - this.__deselectedIds.size);
+    }
+
+    @computed
+    get isAllSelected() {
+        return this.__allSelected && this.__deselectedIds.size === 0;
+    }
+
+    // Accepts a model or an array of models, like the methods below.
+    @action
+    select(models) {
+        castArray(models).forEach(model => {
+            const key = this.__selectionKey(model);
+            this.__selectedIds.set(key, true);
+            this.__deselectedIds.delete(key);
+        });
+    }
+
+    @action
+    deselect(models) {
+        castArray(models).forEach(model => {
+            const key = this.__selectionKey(model);
+            this.__selectedIds.delete(key);
+            if (this.__allSelected) {
+                this.__deselectedIds.set(key, true);
+            }
+        });
+    }
+
+    @action
+    toggle(models) {
+        castArray(models).forEach(model => {
+            if (this.isSelected(model)) {
+                this.deselect(model);
+            } else {
+                this.select(model);
+            }
+        });
+    }
+
+    // Selects all records, also the ones on other pages; `selectedCount` counts them with `totalRecords`.
+    @action
+    selectAll() {
+        this.__allSelected = true;
+        this.__selectedIds.clear();
+        this.__deselectedIds.clear();
+    }
+
+    @action
+    clearSelection() {
+        this.__allSelected = false;
+        this.__selectedIds.clear();
+        this.__deselectedIds.clear();
+    }
+
+    // Calls `fn(model)` for the selected models at once, and waits for all of them. Rejects with the
+    // first error; the models that failed stay selected, so it can be tried again.
+    __forSelected(fn, onSuccess) {
+        invariant(
+            !this.__allSelected || this.models.length >= this.__state.totalRecords,
+            'Records on other pages are selected; only loaded models can be saved or deleted at once.'
+        );
+        let error = null;
+        return Promise.all(
+            this.selected.map(model =>
+                fn(model).then(action(res => onSuccess(model, res)), err => {
+                    error = error || err;
+                })
+            )
+        ).then(() => {
+            if (error) {
+                throw error;
+            }
+        });
+    }
+
+    // Deletes the selected models with `delete(options)`, see `Model.delete()`.
+    deleteSelected(options = {}) {
+        return this.__forSelected(model => model.delete(options), model => {
+            const key = this.__selectionKey(model);
+            this.__selectedIds.delete(key);
+            this.__deselectedIds.delete(key);
+            this.__state.totalRecords = Math.max(0, this.__state.totalRecords - 1);
+        });
+    }
+
+    // Saves the selected models with `save(options)`, see `Model.save()`.
+    saveSelected(options = {}) {
+        return this.__forSelected(model => {
+            const key = this.__selectionKey(model);
+            return model.save(options).then(() => key);
+        }, (model, key) => {
+            // A new model got its id from the backend.
+            if (this.__selectedIds.has(key)) {
+                this.__selectedIds.delete(key);
+                this.select(model);
+            }
+        });
+    }
+
     // Helper methods to read models.
 
     get(id) {
@@ -0,0 +1,205 @@
+import { observable, action } from 'mobx';
+import { isPlainObject } from 'lodash';
+import Model from './Model';
+import Store from './Store';
+import { invariant, isCancel } from './utils';
+
+const EVENT_TYPES = ['created', 'updated', 'deleted'];
+
+// A transport that keeps events in memory; `emit()` sends one to the subscribers. Useful in tests,
+// or to feed events from another source.
+export class MemoryTransport {
+    __handlers = [];
+
+    subscribe(handler) {
+        this.__handlers.push(handler);
+        return () => {
+            this.__handlers = this.__handlers.filter(h => h !== handler);
+        };
+    }
+
+    emit(event) {
+        this.__handlers.forEach(handler => handler(event));
+    }
+}
+
+function resourceOf(target) {
+    return target instanceof Store
+        ? target.Model.backendResourceName
+        : target.constructor.backendResourceName;
+}
+
+// Applies events pushed by the backend to the models and stores that subscribed to them. An event is
+// `{ type, resource, data }`, where `type` is `created`, `updated` or `deleted`, `resource` is a
+// `backendResourceName` and `data` is the record, like the backend sends it.
+//
+// The transport is any object with `subscribe(handler)`, which calls `handler(event)` for every event
+// and returns a function to unsubscribe, see `MemoryTransport`.
+export default class Sync {
+    // Fields that the backend changed while the user changed them as well, so they were not updated:
+    // `[{ model, field, key, local, remote }]`, where `remote` is the value like the backend sent it.
+    @observable.shallow conflicts = [];
+    // Called with the error when a store fails to fetch again after a `created` event.
+    onError = null;
+    // `{ [backendResourceName]: [model or store] }`
+    __subscriptions = {};
+
+    constructor(options = {}) {
+        invariant(
+            options.transport && typeof options.transport.subscribe === 'function',
+            'Sync needs a `transport` with a `subscribe(handler)` method.'
+        );
+        this.transport = options.transport;
+        if (options.onError) {
+            this.onError = options.onError;
+        }
+        this.__unsubscribe = this.transport.subscribe(event => this.handle(event));
+    }
+
+    // Keeps `target`, a model or store, up-to-date with the events of its `backendResourceName`.
+    // Returns a function to stop that.
+    subscribe(target) {
+        invariant(
+            target instanceof Model || target instanceof Store,
+            'Only models and stores can subscribe to sync events.'
+        );
+        const resource = resourceOf(target);
+        invariant(
+            resource,
+            'Subscribing to sync events needs a `backendResourceName` on the model.'
+        );
+        const targets = this.__subscriptions[resource] || [];
+        if (!targets.includes(target)) {
+            this.__subscriptions[resource] = targets.concat(target);
+        }
+        return () => {
+            this.__subscriptions[resource] = (this.__subscriptions[resource] || []).filter(t => t !== target);
+        };
+    }
+
+    // Stops listening to the transport.
+    close() {
+        if (this.__unsubscribe) {
+            this.__unsubscribe();
+            this.__unsubscribe = null;
+        }
+    }
+
+    @action
+    handle(event) {
+        invariant(
+            isPlainObject(event) && EVENT_TYPES.includes(event.type),
+            `Unknown sync event: ${JSON.stringify(event)}`
+        );
+        const targets = this.__subscriptions[event.resource] || [];
+        if (targets.length === 0) {
+            return;
+        }
+        const data = isPlainObject(event.data) ? event.data : { id: event.data };
+        const stores = targets.filter(target => target instanceof Store);
+        // With a repository, a store and a subscribed model can hold the same instance; handle it once.
+        const models = [];
+        const addModel = model => {
+            if (model && !models.includes(model)) {
+                models.push(model);
+            }
+        };
+        targets.forEach(target => {
+            if (target instanceof Store) {
+                addModel(target.get(data[target.Model.primaryKey]));
+            } else if (target[target.constructor.primaryKey] === data[target.constructor.primaryKey]) {
+                addModel(target);
+            }
+        });
+
+        switch (event.type) {
+            case 'deleted':
+                models.forEach(model => this.__delete(model, stores));
+                break;
+            case 'updated':
+                models.forEach(model => this.__merge(model, data));
+                break;
+            default:
+                models.forEach(model => this.__merge(model, data));
+                stores
+                    .filter(store => !store.get(data[store.Model.primaryKey]))
+                    .forEach(store => this.__create(store, data));
+        }
+    }
+
+    // Updates `model` with `record`, except the fields the user changed to something else.
+    __merge(model, record) {
+        model.__mergeBackendData(record).forEach(conflict => {
+            this.__addConflict({ model, ...conflict });
+        });
+    }
+
+    __addConflict(conflict) {
+        this.conflicts.replace(
+            this.conflicts
+                .filter(c => c.model !== conflict.model || c.field !== conflict.field)
+                .concat(conflict)
+        );
+    }
+
+    // Removes `model` from the subscribed stores. Not a change of the user, so it doesn't mark them as changed.
+    __delete(model, stores) {
+        stores.concat(model.__store || []).forEach(store => {
+            if (store.models.includes(model)) {
+                store.models.remove(model);
+                store.__state.totalRecords = Math.max(0, store.__state.totalRecords - 1);
+            }
+        });
+        this.conflicts.replace(this.conflicts.filter(c => c.model !== model));
+    }
+
+    // Adds a created record to `store` when it matches the params of the store, see `matches()`. When
+    // that is not known, or the store has more pages, it is fetched again instead.
+    __create(store, record) {
+        const matches = this.matches(store, record);
+        if (matches === false) {
+            return;
+        }
+        const hasMorePages = store.__state.totalRecords > store.models.length;
+        if (matches === undefined || hasMorePages) {
+            store.fetch().catch(err => {
+                // A later fetch of the store replaced it.
+                if (isCancel(err)) {
+                    return;
+                }
+                if (this.onError) {
+                    this.onError(err);
+                }
+            });
+            return;
+        }
+        store.fromBackend({ data: [record] }, { append: true });
+        store.__state.totalRecords++;
+    }
+
+    // Whether `record` belongs in `store`: `false` when a param of the store is a field of the record
+    // with another value, `undefined` when a param is not a field of the record (e.g. a search), so
+    // it can't be told. Override it for backends with other params.
+    matches(store, record) {
+        const params = Object.keys(store.params);
+        if (params.some(param => param in record && String(record[param]) !== String(store.params[param]))) {
+            return false;
+        }
+        return params.every(param => param in record) ? true : undefined;
+    }
+
+    // Uses the value of the backend for a conflicting field, instead of the one of the user.
+    @action
+    acceptRemote(conflict) {
+        conflict.model.parse({
+            [conflict.key]: conflict.model.__toParseValue(conflict.field, conflict.remote),
+        });
+        this.dismiss(conflict);
+    }
+
+    // Keeps the value of the user for a conflicting field.
+    @action
+    dismiss(conflict) {
+        this.conflicts.remove(conflict);
+    }
+}
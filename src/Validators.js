@@ -0,0 +1,101 @@
+import { isArray, isString } from 'lodash';
+import { isObservableArray } from 'mobx';
+import { invariant } from './utils';
+import Store from './Store';
+
+// A validator is a function that receives `(value, model, attr)` and returns an error code
+// (or an object with a `code`) when the value is invalid. Anything falsy means the value is valid.
+
+function isEmpty(value) {
+    if (value === null || value === undefined || value === '') {
+        return true;
+    }
+    if (isArray(value) || isObservableArray(value)) {
+        return value.length === 0;
+    }
+    // An unset relation is an empty store or model, not `null`.
+    if (value instanceof Store) {
+        return value.length === 0;
+    }
+    // Not `instanceof Model`, as `Model` imports this module.
+    if (value && value.__attributes) {
+        return value.isNew && !value.hasUserChanges;
+    }
+    return false;
+}
+
+function checkNumber(name, n) {
+    invariant(
+        Number.isFinite(n),
+        `Invalid argument supplied to \`Validators.${name}\`, expected a number.`
+    );
+}
+
+const VALIDATORS = {
+    required(value) {
+        return isEmpty(value) ? 'required' : null;
+    },
+    minLength: n => {
+        checkNumber('minLength', n);
+        return value => {
+            if (isEmpty(value)) {
+                return null;
+            }
+            return value.length < n ? 'min_length' : null;
+        };
+    },
+    maxLength: n => {
+        checkNumber('maxLength', n);
+        return value => {
+            if (isEmpty(value)) {
+                return null;
+            }
+            return value.length > n ? 'max_length' : null;
+        };
+    },
+    min: n => {
+        checkNumber('min', n);
+        return value => {
+            if (isEmpty(value)) {
+                return null;
+            }
+            return value < n ? 'min_value' : null;
+        };
+    },
+    max: n => {
+        checkNumber('max', n);
+        return value => {
+            if (isEmpty(value)) {
+                return null;
+            }
+            return value > n ? 'max_value' : null;
+        };
+    },
+    regex: (re, code = 'invalid') => {
+        invariant(
+            re instanceof RegExp,
+            'Invalid argument supplied to `Validators.regex`, expected a RegExp.'
+        );
+        // Without the `g` and `y` flags, `test()` doesn't depend on the `lastIndex` of an earlier call.
+        const pattern = new RegExp(re.source, re.flags.replace(/[gy]/g, ''));
+        return value => {
+            if (isEmpty(value)) {
+                return null;
+            }
+            return pattern.test(value) ? null : code;
+        };
+    },
+};
+
+// Normalizes the return value of a validator to the `{ code }` shape Binder uses for its errors.
+export function normalizeValidationError(error) {
+    if (!error) {
+        return null;
+    }
+    if (isString(error)) {
+        return { code: error };
+    }
+    return error;
+}
+
+export default VALIDATORS;
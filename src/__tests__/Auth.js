@@ -0,0 +1,224 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { BinderApi, BearerAuth, CsrfAuth } from '../';
+
+let mock;
+beforeEach(() => {
+    mock = new MockAdapter(axios);
+});
+afterEach(() => {
+    if (mock) {
+        mock.restore();
+        mock = null;
+    }
+});
+
+// A JWT with only an `exp` claim; the signature is not checked by the client.
+function jwt(exp) {
+    const payload = Buffer.from(JSON.stringify({ exp })).toString('base64');
+    return `header.${payload}.signature`;
+}
+
+function replyWithToken(token) {
+    return config => {
+        if (config.headers.Authorization === `Bearer ${token}`) {
+            return [200, { ok: true }];
+        }
+        return [401, {}];
+    };
+}
+
+test('BinderApi uses CSRF auth by default', () => {
+    expect(new BinderApi().auth).toBeInstanceOf(CsrfAuth);
+});
+
+test('Bearer token added to request', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.headers.Authorization).toBe('Bearer abc');
+        expect(config.headers['X-Csrftoken']).toBe(undefined);
+        return [200, {}];
+    });
+
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'abc' });
+    return api.post('/api/asdf/');
+});
+
+test('No Authorization header without token', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.headers.Authorization).toBe(undefined);
+        return [200, {}];
+    });
+
+    const api = new BinderApi();
+    api.auth = new BearerAuth();
+    return api.get('/api/asdf/');
+});
+
+test('Request header overrides auth header', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.headers.Authorization).toBe('Basic foo');
+        return [200, {}];
+    });
+
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'abc' });
+    return api.get('/api/asdf/', null, { headers: { Authorization: 'Basic foo' } });
+});
+
+test('Refresh token on 401 and replay request', () => {
+    mock.onAny().reply(replyWithToken('new'));
+
+    const refresh = jest.fn(() => Promise.resolve('new'));
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'old', refresh });
+    return api.get('/api/asdf/').then(res => {
+        expect(res).toEqual({ ok: true });
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(refresh).toHaveBeenCalledWith(api);
+        expect(api.auth.token).toBe('new');
+    });
+});
+
+test('Concurrent 401s refresh once', () => {
+    mock.onAny().reply(replyWithToken('new'));
+
+    const refresh = jest.fn(() => Promise.resolve('new'));
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'old', refresh });
+    return Promise.all([
+        api.get('/api/foo/'),
+        api.get('/api/bar/'),
+        api.post('/api/baz/'),
+    ]).then(res => {
+        expect(res).toEqual([{ ok: true }, { ok: true }, { ok: true }]);
+        expect(refresh).toHaveBeenCalledTimes(1);
+    });
+});
+
+test('Requests wait while refreshing', () => {
+    const sent = [];
+    mock.onAny().reply(config => {
+        sent.push([config.url, config.headers.Authorization]);
+        return replyWithToken('new')(config);
+    });
+
+    let later;
+    const api = new BinderApi();
+    api.auth = new BearerAuth({
+        token: 'old',
+        refresh: () => new Promise(resolve => {
+            // Sent while refreshing, so it should wait for the new token.
+            later = api.get('/api/later/');
+            setTimeout(() => resolve('new'));
+        }),
+    });
+    return api.get('/api/first/')
+        .then(() => later)
+        .then(() => {
+            expect(sent[0]).toEqual(['/api/first/', 'Bearer old']);
+            expect(sent.slice(1)).toHaveLength(2);
+            expect(sent.slice(1)).toContainEqual(['/api/first/', 'Bearer new']);
+            expect(sent.slice(1)).toContainEqual(['/api/later/', 'Bearer new']);
+        });
+});
+
+test('Request sent with old token does not refresh again', () => {
+    let refreshed = false;
+    mock.onGet('/api/slow/').reply(() => {
+        // Fails only after the other request refreshed the token.
+        return new Promise(resolve => {
+            const check = () => (refreshed ? resolve([401, {}]) : setTimeout(check));
+            check();
+        });
+    });
+    mock.onAny().reply(replyWithToken('new'));
+
+    const refresh = jest.fn(() => {
+        refreshed = true;
+        return Promise.resolve('new');
+    });
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'old', refresh });
+    return Promise.all([
+        api.get('/api/slow/').catch(err => err.response.status),
+        api.get('/api/fast/'),
+    ]).then(res => {
+        // The slow request is replayed once with the new token, without refreshing again.
+        expect(res).toEqual([401, { ok: true }]);
+        expect(refresh).toHaveBeenCalledTimes(1);
+    });
+});
+
+test('Failing refresh calls onAuthFailure', () => {
+    mock.onAny().reply(401, {});
+
+    const refreshError = new Error('Refresh token expired');
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'old', refresh: () => Promise.reject(refreshError) });
+    api.onAuthFailure = jest.fn();
+    return Promise.all([
+        api.get('/api/foo/').catch(err => err),
+        api.get('/api/bar/').catch(err => err),
+    ]).then(([fooErr, barErr]) => {
+        expect(fooErr.response.status).toBe(401);
+        expect(barErr.response.status).toBe(401);
+        expect(api.onAuthFailure).toHaveBeenCalledTimes(1);
+        expect(api.onAuthFailure).toHaveBeenCalledWith(refreshError);
+        // A next request tries to refresh again.
+        return api.get('/api/foo/').catch(() => {
+            expect(api.onAuthFailure).toHaveBeenCalledTimes(2);
+        });
+    });
+});
+
+test('401 without refresh fails', () => {
+    mock.onAny().replyOnce(401, {});
+
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'abc' });
+    return api.get('/api/asdf/').catch(err => {
+        expect(err.response.status).toBe(401);
+    });
+});
+
+test('Replayed request with 401 fails', () => {
+    mock.onAny().reply(401, {});
+
+    const refresh = jest.fn(() => Promise.resolve('new'));
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: 'old', refresh });
+    return api.get('/api/asdf/').catch(err => {
+        expect(err.response.status).toBe(401);
+        expect(refresh).toHaveBeenCalledTimes(1);
+    });
+});
+
+test('Expired JWT refreshed before sending', () => {
+    const newToken = jwt(Date.now() / 1000 + 3600);
+    mock.onAny().replyOnce(config => {
+        expect(config.headers.Authorization).toBe(`Bearer ${newToken}`);
+        return [200, {}];
+    });
+
+    const refresh = jest.fn(() => Promise.resolve(newToken));
+    const api = new BinderApi();
+    api.auth = new BearerAuth({ token: jwt(Date.now() / 1000 + 5), refresh });
+    return api.get('/api/asdf/').then(() => {
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(api.auth.isExpired()).toBe(false);
+    });
+});
+
+test('Token that is not a JWT is never expired', () => {
+    const auth = new BearerAuth({ token: 'abc', refresh: () => Promise.resolve('def') });
+    expect(auth.isExpired()).toBe(false);
+    auth.token = 'a.b.c';
+    expect(auth.isExpired()).toBe(false);
+});
+
+test('BearerAuth with invalid refresh', () => {
+    expect(() => new BearerAuth({ refresh: 'foo' })).toThrow(
+        '[mobx-spine] `refresh` should be a function that resolves to a new token.'
+    );
+});
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import MockAdapter from 'axios-mock-adapter';
-import { BinderApi } from '../';
+import { BinderApi, isConflict } from '../';
+import { Animal } from './fixtures/Animal';
 
 let mock;
 beforeEach(() => {
@@ -269,3 +270,366 @@ test('Failing request with onRequestError and skipRequestError option', () => {
             expect(api.onRequestError).not.toHaveBeenCalled();
         });
 });
+
+describe('retry', () => {
+    let api;
+    let delays;
+    beforeEach(() => {
+        api = new BinderApi();
+        api.retry = {};
+        delays = [];
+        api.__sleep = ms => {
+            delays.push(ms);
+            return Promise.resolve();
+        };
+    });
+
+    test('GET request retried on 503', () => {
+        mock.onAny().replyOnce(503, {});
+        mock.onAny().replyOnce(502, {});
+        mock.onAny().replyOnce(200, { id: 2 });
+
+        return api.get('/api/asdf/').then(res => {
+            expect(res).toEqual({ id: 2 });
+            expect(delays.length).toBe(2);
+            // With jitter, the delay is between half and the full backoff.
+            expect(delays[0]).toBeGreaterThanOrEqual(150);
+            expect(delays[0]).toBeLessThanOrEqual(300);
+            expect(delays[1]).toBeGreaterThanOrEqual(300);
+            expect(delays[1]).toBeLessThanOrEqual(600);
+        });
+    });
+
+    test('GET request retried on network error', () => {
+        mock.onAny().networkErrorOnce();
+        mock.onAny().replyOnce(200, {});
+
+        api.retry = { jitter: false, delay: 100 };
+        return api.get('/api/asdf/').then(() => {
+            expect(delays).toEqual([100]);
+        });
+    });
+
+    test('GET request fails after max attempts', () => {
+        mock.onAny().reply(503, {});
+
+        api.retry = { maxAttempts: 4, jitter: false, delay: 100, maxDelay: 300 };
+        return api.get('/api/asdf/').then(() => {
+            throw new Error('Should have failed');
+        }, err => {
+            expect(err.response.status).toBe(503);
+            expect(delays).toEqual([100, 200, 300]);
+        });
+    });
+
+    test('GET request not retried on other status code', () => {
+        mock.onAny().replyOnce(500, {});
+
+        return api.get('/api/asdf/').catch(err => {
+            expect(err.response.status).toBe(500);
+            expect(delays).toEqual([]);
+        });
+    });
+
+    test('GET request respects Retry-After', () => {
+        mock.onAny().replyOnce(429, {}, { 'Retry-After': '2' });
+        mock.onAny().replyOnce(200, {});
+
+        return api.get('/api/asdf/').then(() => {
+            expect(delays).toEqual([2000]);
+        });
+    });
+
+    test('GET request not retried when Retry-After is too long', () => {
+        mock.onAny().replyOnce(503, {}, { 'retry-after': '60' });
+
+        return api.get('/api/asdf/').catch(err => {
+            expect(err.response.status).toBe(503);
+            expect(delays).toEqual([]);
+        });
+    });
+
+    test('POST request not retried', () => {
+        mock.onAny().replyOnce(503, {});
+
+        return api.post('/api/asdf/').catch(err => {
+            expect(err.response.status).toBe(503);
+            expect(delays).toEqual([]);
+        });
+    });
+
+    test('PUT request only retried with idempotency key', () => {
+        mock.onAny().replyOnce(503, {});
+        mock.onAny().replyOnce(503, {});
+        mock.onAny().replyOnce(200, {});
+
+        return api.put('/api/asdf/', { data: [] }).catch(err => {
+            expect(err.response.status).toBe(503);
+            expect(delays).toEqual([]);
+            api.idempotencyKeys = true;
+            return api.put('/api/asdf/', { data: [] });
+        }).then(() => {
+            expect(delays.length).toBe(1);
+        });
+    });
+
+    test('Retrying disabled per request', () => {
+        mock.onAny().replyOnce(503, {});
+
+        return api.get('/api/asdf/', null, { retry: false }).catch(err => {
+            expect(err.response.status).toBe(503);
+            expect(delays).toEqual([]);
+        });
+    });
+
+    test('Retrying enabled per request', () => {
+        mock.onAny().replyOnce(503, {});
+        mock.onAny().replyOnce(200, {});
+
+        api.retry = null;
+        return api.get('/api/asdf/', null, { retry: { maxAttempts: 2 } }).then(() => {
+            expect(delays.length).toBe(1);
+        });
+    });
+
+    test('POST request with idempotency key retried with the same key', () => {
+        const keys = [];
+        mock.onAny().replyOnce(config => {
+            keys.push(config.headers['Idempotency-Key']);
+            return [503, {}];
+        });
+        mock.onAny().replyOnce(config => {
+            keys.push(config.headers['Idempotency-Key']);
+            return [200, {}];
+        });
+
+        api.idempotencyKeys = true;
+        return api.post('/api/asdf/', { foo: 'bar' }).then(() => {
+            expect(keys[0]).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(keys[1]).toBe(keys[0]);
+        });
+    });
+
+    test('Idempotency key not added to GET request', () => {
+        mock.onAny().replyOnce(config => {
+            expect(config.headers['Idempotency-Key']).toBe(undefined);
+            return [200, {}];
+        });
+
+        api.idempotencyKeys = true;
+        return api.get('/api/asdf/');
+    });
+
+    test('onRequestError only called for the final error', () => {
+        mock.onAny().replyOnce(503, {});
+        mock.onAny().replyOnce(503, {});
+
+        api.onRequestError = jest.fn();
+        api.retry = { maxAttempts: 2 };
+        return api.get('/api/asdf/').catch(() => {
+            expect(api.onRequestError).toHaveBeenCalledTimes(1);
+        });
+    });
+});
+
+describe('batching', () => {
+    let api;
+    beforeEach(() => {
+        api = new BinderApi();
+        api.batchModelFetches = true;
+    });
+
+    function animal(id, relations) {
+        const model = new Animal({ id }, { relations });
+        model.api = api;
+        return model;
+    }
+
+    test('Fetches in the same tick sent as one list request', () => {
+        mock.onAny().replyOnce(config => {
+            expect(config.url).toBe('/api/animal/');
+            expect(config.params).toEqual({
+                with: 'kind',
+                '.id:in': '1,2,3',
+                limit: 'none',
+            });
+            return [200, {
+                data: [
+                    { id: 3, name: 'Max', kind: 10 },
+                    { id: 1, name: 'Rex', kind: 10 },
+                    { id: 2, name: 'Woofer', kind: null },
+                ],
+                with: { kind: [{ id: 10, name: 'Good Dog' }] },
+                with_mapping: { kind: 'kind' },
+                meta: { total_records: 3 },
+            }];
+        });
+
+        const animals = [animal(1, ['kind']), animal(2, ['kind']), animal(3, ['kind'])];
+        return Promise.all(animals.map(model => model.fetch())).then(() => {
+            expect(animals.map(model => model.name)).toEqual(['Rex', 'Woofer', 'Max']);
+            expect(animals[0].kind.name).toBe('Good Dog');
+            expect(animals[1].kind.id).toBe(null);
+            expect(mock.history.get.length).toBe(1);
+        });
+    });
+
+    test('Fetches with different params sent separately', () => {
+        mock.onAny().reply(config => {
+            return [200, { data: { id: 1, name: config.params.with ? 'With kind' : 'Without' } }];
+        });
+
+        const a = animal(1, ['kind']);
+        const b = animal(1);
+        return Promise.all([a.fetch(), b.fetch()]).then(() => {
+            expect(a.name).toBe('With kind');
+            expect(b.name).toBe('Without');
+            expect(mock.history.get.map(config => config.url)).toEqual(['/api/animal/1/', '/api/animal/1/']);
+        });
+    });
+
+    test('Fetches of the same model share one request', () => {
+        mock.onAny().replyOnce(config => {
+            expect(config.url).toBe('/api/animal/1/');
+            return [200, { data: { id: 1, name: 'Rex' } }];
+        });
+
+        const a = animal(1);
+        const b = animal(1);
+        return Promise.all([a.fetch(), b.fetch()]).then(() => {
+            expect(a.name).toBe('Rex');
+            expect(b.name).toBe('Rex');
+            expect(mock.history.get.length).toBe(1);
+        });
+    });
+
+    test('Model missing from list fetched on its own', () => {
+        mock.onGet('/api/animal/').replyOnce(200, { data: [{ id: 1, name: 'Rex' }], meta: {} });
+        mock.onGet('/api/animal/2/').replyOnce(404, {});
+
+        const a = animal(1);
+        const b = animal(2);
+        return Promise.all([a.fetch(), b.fetch().catch(err => err.response.status)]).then(([, status]) => {
+            expect(a.name).toBe('Rex');
+            expect(status).toBe(404);
+        });
+    });
+
+    test('Failing list request rejects every fetch', () => {
+        mock.onAny().replyOnce(500, {});
+
+        const fetches = [animal(1), animal(2)].map(model => model.fetch().catch(err => err.response.status));
+        return Promise.all(fetches).then(statuses => {
+            expect(statuses).toEqual([500, 500]);
+        });
+    });
+
+    test('Fetch with custom url or options not batched', () => {
+        mock.onAny().reply(200, { data: { id: 1 } });
+
+        return Promise.all([
+            animal(1).fetch({ url: '/api/animal/1/special/' }),
+            animal(2).fetch({ skipRequestError: true }),
+        ]).then(() => {
+            expect(mock.history.get.map(config => config.url)).toEqual(['/api/animal/1/special/', '/api/animal/2/']);
+        });
+    });
+});
+
+describe('etag', () => {
+    test('ETag of fetch and save is sent as If-Match', () => {
+        expect.assertions(7);
+        mock.onGet('/api/animal/1/').replyOnce(200, { data: { id: 1, name: 'Rex' } }, { etag: '"v1"' });
+        mock.onPatch('/api/animal/1/').replyOnce(config => {
+            expect(config.headers['If-Match']).toBe('"v1"');
+            return [200, { id: 1, name: 'Max' }, { etag: '"v2"' }];
+        });
+        mock.onPatch('/api/animal/1/').replyOnce(config => {
+            expect(config.headers['If-Match']).toBe('"v2"');
+            return [412, {}];
+        });
+        mock.onGet('/api/animal/1/').replyOnce(200, { data: { id: 1, name: 'Bello' } }, { etag: '"v3"' });
+
+        const animal = new Animal({ id: 1 });
+        return animal.fetch().then(() => {
+            expect(animal.__etag).toBe('"v1"');
+            animal.setInput('name', 'Max');
+            return animal.save();
+        }).then(() => {
+            expect(animal.name).toBe('Max');
+            expect(animal.__etag).toBe('"v2"');
+            return animal.save();
+        }).catch(err => {
+            expect(isConflict(err)).toBe(true);
+            expect(err.serverEtag).toBe('"v3"');
+        });
+    });
+
+    test('Fetch and save with ETag use the response formatter', () => {
+        const api = new BinderApi();
+        api.__responseFormatter = res => res.data.payload;
+        mock.onGet('/api/animal/1/').replyOnce(200, { payload: { data: { id: 1, name: 'Rex' } } }, { etag: '"v1"' });
+        mock.onPatch('/api/animal/1/').replyOnce(200, { payload: { id: 1, name: 'Max' } }, { etag: '"v2"' });
+
+        const animal = new Animal({ id: 1 });
+        animal.api = api;
+        return animal.fetch().then(() => {
+            expect(animal.name).toBe('Rex');
+            expect(animal.__etag).toBe('"v1"');
+            return animal.save();
+        }).then(() => {
+            expect(animal.name).toBe('Max');
+            expect(animal.__etag).toBe('"v2"');
+        });
+    });
+
+    test('Batched fetch has no ETag, model with one fetched on its own', () => {
+        const api = new BinderApi();
+        api.batchModelFetches = true;
+        mock.onGet('/api/animal/').replyOnce(200, {
+            data: [{ id: 1 }, { id: 2 }],
+            meta: { total_records: 2 },
+        }, { etag: '"list"' });
+        mock.onGet('/api/animal/3/').replyOnce(200, { data: { id: 3 } }, { etag: '"v2"' });
+
+        const animals = [1, 2, 3].map(id => {
+            const model = new Animal({ id });
+            model.api = api;
+            return model;
+        });
+        animals[2].__etag = '"v1"';
+        return Promise.all(animals.map(model => model.fetch())).then(() => {
+            expect(animals.map(model => model.__etag)).toEqual([null, null, '"v2"']);
+        });
+    });
+});
+
+describe('dedupe', () => {
+    test('Identical GET requests in progress share one request', () => {
+        mock.onAny().reply(200, { id: 2 });
+
+        const api = new BinderApi();
+        api.dedupeRequests = true;
+        const first = api.get('/api/asdf/', { foo: 'bar' });
+        const second = api.get('/api/asdf/', { foo: 'bar' });
+        const other = api.get('/api/asdf/', { foo: 'baz' });
+        expect(second).toBe(first);
+        expect(other).not.toBe(first);
+        return Promise.all([first, other]).then(() => {
+            expect(mock.history.get.length).toBe(2);
+            // Finished requests are not reused.
+            return api.get('/api/asdf/', { foo: 'bar' });
+        }).then(() => {
+            expect(mock.history.get.length).toBe(3);
+        });
+    });
+
+    test('GET requests not deduped by default', () => {
+        mock.onAny().reply(200, {});
+
+        const api = new BinderApi();
+        return Promise.all([api.get('/api/asdf/'), api.get('/api/asdf/')]).then(() => {
+            expect(mock.history.get.length).toBe(2);
+        });
+    });
+});
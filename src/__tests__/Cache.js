@@ -0,0 +1,381 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { observable } from 'mobx';
+import { Model, Store, BinderApi, Cache } from '../';
+
+let api;
+
+class Animal extends Model {
+    static backendResourceName = 'animal';
+    urlRoot = '/api/animal/';
+    @observable id = null;
+    @observable name = '';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+}
+
+class AnimalStore extends Store {
+    Model = Animal;
+    url = '/api/animal/';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+}
+
+class Kind extends Model {
+    static backendResourceName = 'kind';
+    urlRoot = '/api/kind/';
+    @observable id = null;
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+}
+
+class KindStore extends Store {
+    Model = Kind;
+    url = '/api/kind/';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+}
+
+function listReply(names) {
+    return [200, {
+        data: names.map((name, i) => ({ id: i + 1, name })),
+        meta: { total_records: names.length },
+    }];
+}
+
+let mock;
+let now;
+beforeEach(() => {
+    mock = new MockAdapter(axios);
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    api = new BinderApi();
+    api.cache = new Cache();
+});
+afterEach(() => {
+    mock.restore();
+    Date.now.mockRestore();
+});
+
+test('Cache with invalid options', () => {
+    expect(() => new Cache({ foo: 1 })).toThrow(
+        '[mobx-spine] Unknown option passed to cache: foo'
+    );
+    expect(() => new Cache('foo')).toThrow(
+        '[mobx-spine] Cache only accepts an object with options.'
+    );
+});
+
+test('Fresh store fetch comes from the cache', () => {
+    mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer']));
+
+    const store = new AnimalStore();
+    return store.fetch().then(() => {
+        now += 60 * 1000;
+        return new AnimalStore().fetch();
+    }).then(res => {
+        expect(mock.history.get.length).toBe(1);
+        expect(res.meta).toEqual({ total_records: 1 });
+        expect(store.map('name')).toEqual(['Woofer']);
+        expect(store.lastFetchedAt).toEqual(new Date(1000000));
+        expect(store.isStale).toBe(false);
+    });
+});
+
+test('Expired store fetch is sent again', () => {
+    mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer']));
+    mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer', 'Rex']));
+
+    const store = new AnimalStore();
+    return store.fetch().then(() => {
+        now += 60 * 1000 + 1;
+        return store.fetch();
+    }).then(() => {
+        expect(mock.history.get.length).toBe(2);
+        expect(store.map('name')).toEqual(['Woofer', 'Rex']);
+        expect(store.lastFetchedAt).toEqual(new Date(now));
+    });
+});
+
+test('Fetches with other params are cached separately', () => {
+    mock.onGet('/api/animal/').reply(...listReply(['Woofer']));
+
+    const store = new AnimalStore();
+    return store.fetch().then(() => {
+        store.params.search = 'w';
+        return store.fetch();
+    }).then(() => {
+        return store.fetch({ cache: false });
+    }).then(() => {
+        expect(mock.history.get.length).toBe(3);
+        // The `cache` option is not sent along.
+        expect(mock.history.get[2].params.search).toBe('w');
+        expect(mock.history.get[2].params).not.toHaveProperty('cache');
+    });
+});
+
+test('Per resource ttl', () => {
+    api.cache = new Cache({ ttl: 1000, ttls: { kind: 0 } });
+    mock.onGet('/api/animal/1/').reply(200, { data: { id: 1, name: 'Woofer' } });
+    mock.onGet('/api/kind/1/').reply(200, { data: { id: 1 } });
+
+    const animal = new Animal({ id: 1 });
+    const kind = new Kind({ id: 1 });
+    return Promise.all([animal.fetch(), kind.fetch()]).then(() => {
+        now += 1;
+        return Promise.all([animal.fetch(), kind.fetch()]);
+    }).then(() => {
+        expect(mock.history.get.map(req => req.url)).toEqual([
+            '/api/animal/1/',
+            '/api/kind/1/',
+            '/api/kind/1/',
+        ]);
+        expect(animal.name).toBe('Woofer');
+    });
+});
+
+test('Concurrent fetches share one request', () => {
+    mock.onGet('/api/animal/').reply(...listReply(['Woofer']));
+
+    const first = new AnimalStore();
+    const second = new AnimalStore();
+    return Promise.all([first.fetch(), second.fetch()]).then(() => {
+        expect(mock.history.get.length).toBe(1);
+        expect(second.map('name')).toEqual(['Woofer']);
+    });
+});
+
+test('Failed fetch is not cached', () => {
+    mock.onGet('/api/animal/').replyOnce(500, {});
+    mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer']));
+
+    const store = new AnimalStore();
+    return store.fetch().catch(() => store.fetch()).then(() => {
+        expect(mock.history.get.length).toBe(2);
+        expect(store.map('name')).toEqual(['Woofer']);
+    });
+});
+
+describe('stale-while-revalidate', () => {
+    beforeEach(() => {
+        api.cache = new Cache({ ttl: 1000, staleWhileRevalidate: 5000 });
+    });
+
+    test('Stale store fetch is used and revalidated', () => {
+        let revalidated;
+        mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer']));
+        mock.onGet('/api/animal/').replyOnce(() => {
+            return new Promise(resolve => {
+                revalidated = resolve;
+            });
+        });
+
+        const store = new AnimalStore();
+        return store.fetch().then(() => {
+            now += 2000;
+            return store.fetch();
+        }).then(() => {
+            expect(store.map('name')).toEqual(['Woofer']);
+            expect(store.isStale).toBe(true);
+            expect(store.lastFetchedAt).toEqual(new Date(1000000));
+            revalidated(listReply(['Woofer', 'Rex']));
+            return new Promise(resolve => setTimeout(resolve));
+        }).then(() => {
+            expect(store.map('name')).toEqual(['Woofer', 'Rex']);
+            expect(store.isStale).toBe(false);
+            expect(store.lastFetchedAt).toEqual(new Date(1002000));
+        });
+    });
+
+    test('Revalidated result ignored when fetched again since', () => {
+        let revalidated;
+        mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer']));
+        mock.onGet('/api/animal/').replyOnce(() => {
+            return new Promise(resolve => {
+                revalidated = resolve;
+            });
+        });
+        mock.onGet('/api/animal/').replyOnce(...listReply(['Max']));
+
+        const store = new AnimalStore();
+        return store.fetch().then(() => {
+            now += 2000;
+            return store.fetch();
+        }).then(() => {
+            store.params.search = 'max';
+            return store.fetch();
+        }).then(() => {
+            revalidated(listReply(['Woofer', 'Rex']));
+            return new Promise(resolve => setTimeout(resolve));
+        }).then(() => {
+            expect(store.map('name')).toEqual(['Max']);
+        });
+    });
+
+    test('Stale model fetch is revalidated', () => {
+        mock.onGet('/api/animal/1/').replyOnce(200, { data: { id: 1, name: 'Woofer' } });
+        mock.onGet('/api/animal/1/').replyOnce(200, { data: { id: 1, name: 'Rex' } });
+
+        const animal = new Animal({ id: 1 });
+        return animal.fetch().then(() => {
+            now += 2000;
+            return animal.fetch();
+        }).then(() => {
+            expect(animal.name).toBe('Woofer');
+            return new Promise(resolve => setTimeout(resolve));
+        }).then(() => {
+            expect(animal.name).toBe('Rex');
+        });
+    });
+
+    test('Result older than the window is fetched again', () => {
+        mock.onGet('/api/animal/').replyOnce(...listReply(['Woofer']));
+        mock.onGet('/api/animal/').replyOnce(...listReply(['Rex']));
+
+        const store = new AnimalStore();
+        return store.fetch().then(() => {
+            now += 6001;
+            return store.fetch();
+        }).then(() => {
+            expect(store.map('name')).toEqual(['Rex']);
+            expect(store.isStale).toBe(false);
+        });
+    });
+});
+
+describe('invalidation', () => {
+    test('Saving a model invalidates its resource', () => {
+        mock.onGet('/api/animal/').reply(...listReply(['Woofer']));
+        mock.onGet('/api/kind/').reply(200, { data: [], meta: { total_records: 0 } });
+        mock.onPatch('/api/animal/1/').replyOnce(200, { id: 1, name: 'Rex' });
+
+        const store = new AnimalStore();
+        const kinds = new KindStore();
+        return Promise.all([store.fetch(), kinds.fetch()]).then(() => {
+            expect(store.isStale).toBe(false);
+            return store.get(1).save();
+        }).then(() => {
+            expect(store.isStale).toBe(true);
+            expect(kinds.isStale).toBe(false);
+            return Promise.all([store.fetch(), kinds.fetch()]);
+        }).then(() => {
+            expect(mock.history.get.map(req => req.url)).toEqual([
+                '/api/animal/',
+                '/api/kind/',
+                '/api/animal/',
+            ]);
+            expect(store.isStale).toBe(false);
+        });
+    });
+
+    test('Deleting a model invalidates its resource', () => {
+        mock.onGet('/api/animal/1/').reply(200, { data: { id: 1, name: 'Woofer' } });
+        mock.onDelete('/api/animal/1/').replyOnce(204, {});
+
+        const animal = new Animal({ id: 1 });
+        return animal.fetch().then(() => animal.delete()).then(() => {
+            return animal.fetch();
+        }).then(() => {
+            expect(mock.history.get.length).toBe(2);
+        });
+    });
+
+    test('saveAll invalidates the resources of all saved models', () => {
+        mock.onGet('/api/animal/').reply(...listReply(['Woofer']));
+        mock.onPut('/api/animal/').replyOnce(200, { idmap: {} });
+
+        const store = new AnimalStore();
+        return store.fetch().then(() => {
+            return store.get(1).saveAll();
+        }).then(() => {
+            expect(store.isStale).toBe(true);
+        });
+    });
+
+    test('Result of a fetch in progress while invalidating is not cached', () => {
+        let respond;
+        mock.onGet('/api/animal/').replyOnce(() => {
+            return new Promise(resolve => {
+                respond = resolve;
+            });
+        });
+        mock.onGet('/api/animal/').replyOnce(...listReply(['Rex']));
+
+        const store = new AnimalStore();
+        const fetch = store.fetch();
+        return new Promise(resolve => setTimeout(resolve)).then(() => {
+            api.cache.invalidate('animal');
+            respond(listReply(['Woofer']));
+            return fetch;
+        }).then(() => {
+            expect(store.map('name')).toEqual(['Woofer']);
+            expect(store.isStale).toBe(true);
+            return store.fetch();
+        }).then(() => {
+            expect(mock.history.get.length).toBe(2);
+            expect(store.map('name')).toEqual(['Rex']);
+        });
+    });
+
+    test('clear() empties the cache', () => {
+        mock.onGet('/api/animal/').reply(...listReply(['Woofer']));
+
+        const store = new AnimalStore();
+        return store.fetch().then(() => {
+            api.cache.clear();
+            return store.fetch();
+        }).then(() => {
+            expect(mock.history.get.length).toBe(2);
+        });
+    });
+});
+
+test('Without cache lastFetchedAt is still set', () => {
+    api.cache = null;
+    mock.onGet('/api/animal/').reply(...listReply(['Woofer']));
+
+    const store = new AnimalStore();
+    expect(store.lastFetchedAt).toBe(null);
+    return store.fetch().then(() => {
+        expect(store.lastFetchedAt).toEqual(new Date(1000000));
+        expect(store.isStale).toBe(false);
+        return store.fetch();
+    }).then(() => {
+        expect(mock.history.get.length).toBe(2);
+    });
+});
+
+test('Api that does not extend Api works without cache', () => {
+    api = {
+        buildFetchModelParams: () => ({}),
+        buildFetchStoreParams: () => ({}),
+        fetchModel: () => Promise.resolve({ data: { id: 1, name: 'Woofer' } }),
+        fetchStore: () =>
+            Promise.resolve({ response: {}, data: [{ id: 1, name: 'Rex' }], totalRecords: 1 }),
+        saveModel: () => Promise.resolve({ data: { id: 1, name: 'Max' } }),
+        deleteModel: () => Promise.resolve(),
+    };
+
+    const store = new AnimalStore();
+    const animal = new Animal({ id: 1 });
+    return Promise.all([store.fetch(), animal.fetch()]).then(() => {
+        expect(store.map('name')).toEqual(['Rex']);
+        expect(animal.name).toBe('Woofer');
+        return animal.save();
+    }).then(() => {
+        expect(animal.name).toBe('Max');
+        return animal.delete();
+    });
+});
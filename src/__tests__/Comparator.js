@@ -0,0 +1,70 @@
+import moment from 'moment';
+import { DateTime } from 'luxon';
+import { createComparator, parseSortSpec } from '../';
+
+function sorted(items, spec, collator) {
+    return items.slice().sort(createComparator(spec, collator));
+}
+
+test('Parse sort spec', () => {
+    expect(parseSortSpec(['-createdAt', 'name', { field: 'bornAt', nulls: 'first' }])).toEqual([
+        { field: 'createdAt', desc: true, nulls: 'last' },
+        { field: 'name', desc: false, nulls: 'last' },
+        { field: 'bornAt', desc: false, nulls: 'first' },
+    ]);
+    expect(parseSortSpec('name')).toEqual([{ field: 'name', desc: false, nulls: 'last' }]);
+    expect(() => parseSortSpec([1])).toThrow('[mobx-spine] Invalid sort key: 1');
+    expect(() => parseSortSpec([{ field: 'name', nulls: 'middle' }])).toThrow(
+        '[mobx-spine] Sort key `name` should have `nulls` `first` or `last`.'
+    );
+});
+
+test('Sort by several keys and directions', () => {
+    const items = [
+        { id: 1, name: 'Rex', age: 3 },
+        { id: 2, name: 'Bello', age: 5 },
+        { id: 3, name: 'Max', age: 3 },
+    ];
+    expect(sorted(items, ['-age', 'name']).map(i => i.id)).toEqual([2, 3, 1]);
+    expect(sorted(items, ['age', '-name']).map(i => i.id)).toEqual([1, 3, 2]);
+});
+
+test('Dates compare by time', () => {
+    const items = [
+        { id: 1, at: moment('2018-02-01') },
+        { id: 2, at: moment('2017-12-01') },
+        { id: 3, at: moment('2018-01-01') },
+    ];
+    expect(sorted(items, 'at').map(i => i.id)).toEqual([2, 3, 1]);
+
+    const luxonItems = [
+        { id: 1, at: DateTime.fromISO('2018-02-01') },
+        { id: 2, at: DateTime.fromISO('2017-12-01') },
+    ];
+    expect(sorted(luxonItems, '-at').map(i => i.id)).toEqual([1, 2]);
+});
+
+test('Empty values are last unless asked otherwise', () => {
+    const items = [
+        { id: 1, at: null },
+        { id: 2, at: new Date(2018, 0, 1) },
+        { id: 3, at: moment.invalid() },
+        { id: 4, at: new Date(2017, 0, 1) },
+    ];
+    expect(sorted(items, 'at').map(i => i.id)).toEqual([4, 2, 1, 3]);
+    expect(sorted(items, '-at').map(i => i.id)).toEqual([2, 4, 1, 3]);
+    expect(sorted(items, { field: 'at', desc: true, nulls: 'first' }).map(i => i.id)).toEqual([1, 3, 2, 4]);
+});
+
+test('Strings compare by locale', () => {
+    const items = [{ name: 'b' }, { name: 'B' }, { name: 'a' }, { name: 'é' }, { name: 'item 10' }, { name: 'item 9' }];
+    expect(sorted(items, 'name').map(i => i.name)).toEqual(['a', 'b', 'B', 'é', 'item 10', 'item 9']);
+
+    const collator = new Intl.Collator('en', { numeric: true });
+    expect(sorted(items, 'name', collator).map(i => i.name).slice(-2)).toEqual(['item 9', 'item 10']);
+});
+
+test('Fields through relations', () => {
+    const items = [{ id: 1, kind: { name: 'Dog' } }, { id: 2, kind: { name: 'Cat' } }, { id: 3, kind: null }];
+    expect(sorted(items, 'kind.name').map(i => i.id)).toEqual([2, 1, 3]);
+});
@@ -0,0 +1,310 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { observable } from 'mobx';
+import { Model, Store, GraphQLApi, Pagination, Cache } from '../';
+
+class Breed extends Model {
+    static backendResourceName = 'breed';
+    @observable id = null;
+    @observable name = '';
+}
+
+class Kind extends Model {
+    static backendResourceName = 'kind';
+    static omitFields = ['description'];
+    @observable id = null;
+    @observable name = '';
+    @observable description = '';
+
+    relations() {
+        return {
+            breed: Breed,
+        };
+    }
+}
+
+class Person extends Model {
+    static backendResourceName = 'person';
+    @observable id = null;
+    @observable name = '';
+}
+
+class PersonStore extends Store {
+    Model = Person;
+}
+
+class Animal extends Model {
+    static backendResourceName = 'animal';
+    @observable id = null;
+    @observable name = '';
+    @observable birthYear = null;
+    @observable _local = null;
+
+    relations() {
+        return {
+            kind: Kind,
+            pastOwners: PersonStore,
+        };
+    }
+}
+
+class AnimalStore extends Store {
+    Model = Animal;
+}
+
+// A stand-in for a GraphQL server: resolves the documents the api is expected to send.
+function createServer() {
+    const db = {
+        animals: [
+            {
+                id: 1,
+                name: 'Woofer',
+                birthYear: 2014,
+                kind: { id: 4, name: 'Good Dog', breed: { id: 7, name: 'Shiba' } },
+                pastOwners: [{ id: 2, name: 'Henk' }, { id: 3, name: 'Jos' }],
+            },
+            { id: 2, name: 'Rex', birthYear: 2010, kind: null, pastOwners: [] },
+            { id: 3, name: 'Max', birthYear: 2016, kind: null, pastOwners: [] },
+        ],
+    };
+    const requests = [];
+    const resolvers = {
+        animal: ({ id }) => db.animals.find(animal => animal.id === Number(id)),
+        animalList: ({ limit, offset = 0 }) => ({
+            totalCount: db.animals.length,
+            results: db.animals.slice(offset, limit ? offset + limit : undefined),
+        }),
+        createAnimal: ({ input }) => {
+            const animal = { ...input, id: db.animals.length + 1 };
+            db.animals.push(animal);
+            return animal;
+        },
+        updateAnimal: ({ id, input }) => {
+            if (input.name === '') {
+                const err = { message: 'Name is required.', extensions: { field: 'name', code: 'required' } };
+                return { errors: [err] };
+            }
+            const animal = resolvers.animal({ id });
+            Object.assign(animal, input);
+            return animal;
+        },
+        deleteAnimal: ({ id }) => {
+            db.animals = db.animals.filter(animal => animal.id !== Number(id));
+            return true;
+        },
+    };
+    const transport = ({ query, variables }) => {
+        requests.push({ query, variables });
+        const rootField = query.match(/\{ (\w+)/)[1];
+        const result = resolvers[rootField](variables);
+        if (result && result.errors) {
+            return Promise.resolve({ data: null, errors: result.errors });
+        }
+        return Promise.resolve({ data: { [rootField]: result } });
+    };
+    return { db, requests, transport };
+}
+
+let server;
+let api;
+beforeEach(() => {
+    server = createServer();
+    api = new GraphQLApi();
+    api.transport = server.transport;
+});
+
+test('Fetch model with nested relations', () => {
+    const animal = new Animal({ id: 1 }, { relations: ['kind.breed', 'pastOwners'] });
+    animal.api = api;
+
+    return animal.fetch().then(() => {
+        expect(server.requests[0]).toEqual({
+            query:
+                'query($id: ID!) { animal(id: $id) { id name birthYear kind { id name breed { id name } } pastOwners { id name } } }',
+            variables: { id: 1 },
+        });
+        expect(animal.toJS()).toEqual({
+            id: 1,
+            name: 'Woofer',
+            birthYear: 2014,
+            _local: null,
+            kind: { id: 4, name: 'Good Dog', description: '', breed: { id: 7, name: 'Shiba' } },
+            pastOwners: [{ id: 2, name: 'Henk' }, { id: 3, name: 'Jos' }],
+        });
+        expect(animal.hasUserChanges).toBe(false);
+    });
+});
+
+test('Fetch model with empty relations', () => {
+    const animal = new Animal({ id: 2, kind: { id: 4 } }, { relations: ['kind', 'pastOwners'] });
+    animal.api = api;
+
+    return animal.fetch().then(() => {
+        expect(animal.name).toBe('Rex');
+        expect(animal.kind.id).toBe(null);
+        expect(animal.pastOwners.length).toBe(0);
+    });
+});
+
+test('Create model with mutation', () => {
+    const animal = new Animal({ name: 'Bello', kind: { id: 4 } }, { relations: ['kind'] });
+    animal.api = api;
+
+    return animal.save().then(() => {
+        expect(server.requests[0]).toEqual({
+            query:
+                'mutation($input: AnimalInput!) { createAnimal(input: $input) { id name birthYear kind { id name } } }',
+            variables: { input: { name: 'Bello', birthYear: null, kind: 4 } },
+        });
+        expect(animal.id).toBe(4);
+        expect(server.db.animals[3].name).toBe('Bello');
+    });
+});
+
+test('Update model with mutation and validation errors', () => {
+    const animal = new Animal({ id: 2, name: '' });
+    animal.api = api;
+
+    return animal.save().then(() => {
+        throw new Error('Should have failed');
+    }, err => {
+        expect(server.requests[0].query).toBe(
+            'mutation($id: ID!, $input: AnimalInput!) { updateAnimal(id: $id, input: $input) { id name birthYear } }'
+        );
+        expect(err.message).toBe('[mobx-spine] Name is required.');
+        expect(animal.backendValidationErrors).toEqual({ name: ['required'] });
+    });
+});
+
+test('Configured mutation', () => {
+    api.mutations = {
+        animal: {
+            update: 'mutation($id: ID!, $input: AnimalInput!) { updateAnimal(id: $id, input: $input) { id name } }',
+        },
+    };
+    const animal = new Animal({ id: 2, name: 'Rexie' });
+    animal.api = api;
+
+    return animal.save().then(() => {
+        expect(server.requests[0].query).toBe(api.mutations.animal.update);
+        expect(animal.name).toBe('Rexie');
+        expect(server.db.animals[1].name).toBe('Rexie');
+    });
+});
+
+test('Delete model with mutation', () => {
+    api.rootFields = { animal: { delete: 'removeAnimal' } };
+    const animal = new Animal({ id: 2 });
+    animal.api = api;
+    api.transport = ({ query, variables }) => {
+        expect(query).toBe('mutation($id: ID!) { removeAnimal(id: $id) }');
+        return server.transport({ query: query.replace('removeAnimal', 'deleteAnimal'), variables });
+    };
+
+    return animal.delete().then(() => {
+        expect(server.db.animals.map(a => a.id)).toEqual([1, 3]);
+    });
+});
+
+test('Fetch store with pagination and params', () => {
+    const store = new AnimalStore({ relations: ['kind'], limit: 2, params: { search: 'o' } });
+    store.api = api;
+    store.__state.currentPage = 2;
+
+    return store.fetch().then(() => {
+        expect(server.requests[0]).toEqual({
+            query:
+                'query($limit: Int, $offset: Int, $search: String) { animalList(limit: $limit, offset: $offset, search: $search) { totalCount results { id name birthYear kind { id name } } } }',
+            variables: { limit: 2, offset: 2, search: 'o' },
+        });
+        expect(store.map('name')).toEqual(['Max']);
+        expect(store.totalPages).toBe(2);
+    });
+});
+
+test('Fetch store with cursor pagination', () => {
+    const store = new AnimalStore({ limit: 1, pagination: Pagination.cursor });
+    store.api = api;
+    api.transport = ({ query, variables }) => {
+        expect(query).toBe(
+            'query($limit: Int) { animalList(limit: $limit) { totalCount results { id name birthYear } nextCursor previousCursor } }'
+        );
+        return Promise.resolve({
+            data: {
+                animalList: { totalCount: 3, results: [{ id: 1 }], nextCursor: 'abc', previousCursor: null },
+            },
+        });
+    };
+
+    return store.fetch().then(() => {
+        expect(store.map('id')).toEqual([1]);
+        expect(store.hasNextPage).toBe(true);
+        expect(store.__state.nextCursor).toBe('abc');
+    });
+});
+
+test('Cached fetches with other relations are sent again', () => {
+    api.cache = new Cache();
+    const fetchStore = relations => {
+        const store = new AnimalStore({ relations });
+        store.api = api;
+        return store.fetch().then(() => store);
+    };
+    const fetchModel = relations => {
+        const animal = new Animal({ id: 1 }, { relations });
+        animal.api = api;
+        return animal.fetch().then(() => animal);
+    };
+
+    return fetchStore([])
+        .then(() => fetchStore(['kind']))
+        .then(store => {
+            expect(server.requests.length).toBe(2);
+            expect(store.get(1).kind.name).toBe('Good Dog');
+            return fetchStore(['kind']);
+        })
+        .then(() => fetchModel([]))
+        .then(() => fetchModel(['kind']))
+        .then(animal => {
+            expect(server.requests.length).toBe(4);
+            expect(animal.kind.name).toBe('Good Dog');
+        });
+});
+
+describe('default transport', () => {
+    let mock;
+    beforeEach(() => {
+        mock = new MockAdapter(axios);
+    });
+    afterEach(() => {
+        mock.restore();
+    });
+
+    test('POSTs to the endpoint', () => {
+        mock.onAny().replyOnce(config => {
+            expect(config.method).toBe('post');
+            expect(config.url).toBe('/graphql/');
+            expect(JSON.parse(config.data)).toEqual({
+                query: 'query { animal { id } }',
+                variables: {},
+            });
+            return [200, { data: { animal: { id: 1 } } }];
+        });
+
+        return new GraphQLApi().request('query { animal { id } }', {}).then(data => {
+            expect(data).toEqual({ animal: { id: 1 } });
+        });
+    });
+
+    test('Rejects with GraphQL errors', () => {
+        mock.onAny().replyOnce(() => {
+            return [200, { data: null, errors: [{ message: 'Boom' }] }];
+        });
+
+        return new GraphQLApi().request('query { animal { id } }', {}).then(() => {
+            throw new Error('Should have failed');
+        }, err => {
+            expect(err.errors).toEqual([{ message: 'Boom' }]);
+        });
+    });
+});
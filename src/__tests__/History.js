@@ -0,0 +1,187 @@
+import { toJS, observable } from 'mobx';
+import { Model, History } from '../';
+import { Animal, AnimalStore } from './fixtures/Animal';
+
+test('Initialize history with invalid limit', () => {
+    expect(() => new History({ limit: 0 })).toThrow(
+        'History limit should be a number above 0.'
+    );
+});
+
+test('undo without changes', () => {
+    const history = new History();
+
+    expect(history.canUndo).toBe(false);
+    expect(() => history.undo()).toThrow('There is nothing to undo.');
+});
+
+test('redo without undone changes', () => {
+    const history = new History();
+
+    expect(history.canRedo).toBe(false);
+    expect(() => history.redo()).toThrow('There is nothing to redo.');
+});
+
+test('undo and redo setInput', () => {
+    const history = new History();
+    const animal = new Animal({ id: 1, name: 'Lino' }, { history });
+
+    animal.setInput('name', 'Lion');
+    expect(history.canUndo).toBe(true);
+
+    history.undo();
+    expect(animal.name).toBe('Lino');
+    expect(toJS(animal.__changes)).toEqual([]);
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(true);
+
+    history.redo();
+    expect(animal.name).toBe('Lion');
+    expect(toJS(animal.__changes)).toEqual(['name']);
+    expect(history.canRedo).toBe(false);
+});
+
+test('new change clears redo', () => {
+    const history = new History();
+    const animal = new Animal({ id: 1 }, { history });
+
+    animal.setInput('name', 'Lion');
+    history.undo();
+    animal.setInput('name', 'Tiger');
+
+    expect(history.canRedo).toBe(false);
+});
+
+test('undo setInput on nested relations', () => {
+    const history = new History();
+    const animal = new Animal(
+        { id: 1, kind: { id: 2, breed: { id: 3, name: 'Persian' } } },
+        { relations: ['kind.breed'], history }
+    );
+
+    animal.kind.breed.setInput('name', 'Siamese');
+    history.undo();
+
+    expect(animal.kind.breed.name).toBe('Persian');
+    expect(animal.hasUserChanges).toBe(false);
+});
+
+test('undo setInput of relations', () => {
+    const history = new History();
+    const animal = new Animal(
+        { id: 1, kind: { id: 2, name: 'Cat' }, pastOwners: [{ id: 4 }] },
+        { relations: ['kind', 'pastOwners'], history }
+    );
+    const pastOwner = animal.pastOwners.at(0);
+
+    animal.setInput('kind', null);
+    animal.setInput('pastOwners', []);
+    expect(animal.pastOwners.hasSetChanges).toBe(true);
+
+    history.undo();
+    history.undo();
+    expect(animal.kind.toJS()).toEqual({ id: 2, name: 'Cat' });
+    expect(animal.pastOwners.at(0)).toBe(pastOwner);
+    expect(animal.pastOwners.hasSetChanges).toBe(false);
+    expect(history.canUndo).toBe(false);
+});
+
+test('undo setInput of file field', () => {
+    class FileAnimal extends Model {
+        static fileFields = ['picture'];
+        @observable id = null;
+        @observable picture = null;
+    }
+    global.URL = { createObjectURL: () => 'blob:1' };
+    const history = new History();
+    const animal = new FileAnimal({ id: 1 }, { history });
+
+    const file = { name: 'cat.png', type: 'image/png' };
+    animal.setInput('picture', file);
+    expect(animal.__fileChanges.picture).toBe(file);
+
+    history.undo();
+    expect(animal.picture).toBe(null);
+    expect(animal.__fileChanges.picture).toBe(undefined);
+    expect(animal.__fileExists.picture).toBe(undefined);
+
+    history.redo();
+    expect(animal.picture).toBe('blob:1?content_type=image/png');
+    expect(animal.__fileChanges.picture).toBe(file);
+    delete global.URL;
+});
+
+test('undo store changes', () => {
+    const history = new History();
+    const animalStore = new AnimalStore({ history });
+
+    animalStore.add([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    animalStore.remove(animalStore.get(1));
+    animalStore.removeById(2);
+    animalStore.clear();
+    expect(animalStore.length).toBe(0);
+
+    history.undo();
+    expect(animalStore.map('id')).toEqual([3]);
+    history.undo();
+    expect(animalStore.map('id')).toEqual([2, 3]);
+    history.undo();
+    expect(animalStore.map('id')).toEqual([1, 2, 3]);
+    history.undo();
+    expect(animalStore.length).toBe(0);
+    expect(animalStore.hasSetChanges).toBe(false);
+});
+
+test('models added to a store use its history', () => {
+    const history = new History();
+    const animalStore = new AnimalStore({ history });
+    const animal = animalStore.add({ id: 1, name: 'Lino' });
+
+    animal.setInput('name', 'Lion');
+    history.undo();
+
+    expect(animal.name).toBe('Lino');
+});
+
+test('transaction is undone at once', () => {
+    const history = new History();
+    const animal = new Animal({ id: 1 }, { relations: ['pastOwners'], history });
+
+    history.transaction(() => {
+        animal.setInput('name', 'Lion');
+        history.transaction(() => {
+            animal.pastOwners.add({ id: 2 });
+        });
+    });
+    history.undo();
+
+    expect(animal.name).toBe('');
+    expect(animal.pastOwners.length).toBe(0);
+    expect(history.canUndo).toBe(false);
+});
+
+test('limit drops the oldest changes', () => {
+    const history = new History({ limit: 2 });
+    const animal = new Animal({ id: 1 }, { history });
+
+    animal.setInput('name', 'a');
+    animal.setInput('name', 'b');
+    animal.setInput('name', 'c');
+    history.undo();
+    history.undo();
+
+    expect(animal.name).toBe('a');
+    expect(history.canUndo).toBe(false);
+});
+
+test('clear', () => {
+    const history = new History();
+    const animal = new Animal({ id: 1 }, { history });
+
+    animal.setInput('name', 'a');
+    history.undo();
+    history.clear();
+
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+});
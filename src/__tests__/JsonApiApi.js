@@ -0,0 +1,308 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { observable } from 'mobx';
+import { Model, Store, JsonApiApi, Pagination } from '../';
+
+class Breed extends Model {
+    static backendResourceName = 'breeds';
+    @observable id = null;
+    @observable name = '';
+}
+
+class Kind extends Model {
+    static backendResourceName = 'kinds';
+    static pickFields = ['name'];
+    @observable id = null;
+    @observable name = '';
+    @observable description = '';
+
+    relations() {
+        return {
+            breed: Breed,
+        };
+    }
+}
+
+class Person extends Model {
+    static backendResourceName = 'people';
+    @observable id = null;
+    @observable name = '';
+}
+
+class PersonStore extends Store {
+    Model = Person;
+}
+
+class Animal extends Model {
+    static backendResourceName = 'animals';
+    urlRoot = '/api/animals/';
+    api = new JsonApiApi();
+    @observable id = null;
+    @observable name = '';
+    @observable birthYear = null;
+
+    relations() {
+        return {
+            kind: Kind,
+            pastOwners: PersonStore,
+        };
+    }
+}
+
+class AnimalStore extends Store {
+    Model = Animal;
+    url = '/api/animals/';
+    api = new JsonApiApi();
+}
+
+const animalDocument = {
+    data: {
+        type: 'animals',
+        id: '1',
+        attributes: { name: 'Woofer', birth_year: 2014 },
+        relationships: {
+            kind: { data: { type: 'kinds', id: '4' } },
+            past_owners: {
+                data: [{ type: 'people', id: '2' }, { type: 'people', id: '3' }],
+            },
+        },
+    },
+    included: [
+        {
+            type: 'kinds',
+            id: '4',
+            attributes: { name: 'Good Dog' },
+            relationships: { breed: { data: { type: 'breeds', id: '7' } } },
+        },
+        { type: 'breeds', id: '7', attributes: { name: 'Shiba' } },
+        { type: 'people', id: '2', attributes: { name: 'Henk' } },
+        { type: 'people', id: '3', attributes: { name: 'Jos' } },
+    ],
+};
+
+let mock;
+beforeEach(() => {
+    mock = new MockAdapter(axios);
+});
+afterEach(() => {
+    if (mock) {
+        mock.restore();
+        mock = null;
+    }
+});
+
+test('Fetch model with included relations', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('get');
+        expect(config.url).toBe('/api/animals/1/');
+        expect(config.headers.Accept).toBe('application/vnd.api+json');
+        expect(config.params).toEqual({
+            include: 'kind.breed,past_owners',
+            'fields[kinds]': 'name,breed',
+        });
+        return [200, animalDocument];
+    });
+
+    const animal = new Animal({ id: 1 }, { relations: ['kind.breed', 'pastOwners'] });
+    return animal.fetch().then(() => {
+        expect(animal.toJS()).toEqual({
+            id: 1,
+            name: 'Woofer',
+            birthYear: 2014,
+            kind: {
+                id: 4,
+                name: 'Good Dog',
+                description: '',
+                breed: { id: 7, name: 'Shiba' },
+            },
+            pastOwners: [{ id: 2, name: 'Henk' }, { id: 3, name: 'Jos' }],
+        });
+    });
+});
+
+test('Fetch model without relations', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({ include: null });
+        return [
+            200,
+            { data: { type: 'animals', id: 'abc', attributes: { name: 'Rex' } } },
+        ];
+    });
+
+    const animal = new Animal({ id: 1 });
+    return animal.fetch().then(() => {
+        expect(animal.id).toBe('abc');
+        expect(animal.name).toBe('Rex');
+    });
+});
+
+test('Save new model as document', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('post');
+        expect(config.url).toBe('/api/animals/');
+        expect(config.headers['Content-Type']).toBe('application/vnd.api+json');
+        expect(JSON.parse(config.data)).toEqual({
+            data: {
+                type: 'animals',
+                attributes: { name: 'Woofer', birth_year: null },
+                relationships: {
+                    kind: { data: { type: 'kinds', id: '4' } },
+                    past_owners: { data: [{ type: 'people', id: '2' }] },
+                },
+            },
+        });
+        return [201, animalDocument];
+    });
+
+    const animal = new Animal(
+        { name: 'Woofer', kind: { id: 4 }, pastOwners: [{ id: 2 }] },
+        { relations: ['kind', 'pastOwners'] }
+    );
+    return animal.save().then(() => {
+        expect(animal.id).toBe(1);
+        expect(animal.kind.name).toBe('Good Dog');
+        expect(animal.pastOwners.map('name')).toEqual(['Henk', 'Jos']);
+    });
+});
+
+test('Save model with empty relation and no content response', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('patch');
+        expect(JSON.parse(config.data)).toEqual({
+            data: {
+                type: 'animals',
+                id: '1',
+                attributes: { name: 'Rex', birth_year: null },
+                relationships: { kind: { data: null } },
+            },
+        });
+        return [204, ''];
+    });
+
+    const animal = new Animal({ id: 1, name: 'Rex' }, { relations: ['kind'] });
+    return animal.save().then(() => {
+        expect(animal.name).toBe('Rex');
+        expect(animal.hasUserChanges).toBe(false);
+    });
+});
+
+test('Save model with validation errors', () => {
+    mock.onAny().replyOnce(() => {
+        return [
+            422,
+            {
+                errors: [
+                    {
+                        status: '422',
+                        code: 'blank',
+                        title: 'Can not be blank',
+                        source: { pointer: '/data/attributes/birth_year' },
+                    },
+                    {
+                        title: 'Not found',
+                        source: { pointer: '/data/relationships/kind/data' },
+                    },
+                    { title: 'Something else went wrong' },
+                ],
+            },
+        ];
+    });
+
+    const animal = new Animal({ id: 1 }, { relations: ['kind'] });
+    return animal.save().catch(err => {
+        expect(err.valErrors.animals[1].birth_year[0].title).toBe('Can not be blank');
+        expect(animal.backendValidationErrors).toEqual({
+            birthYear: ['blank'],
+            kind: ['Not found'],
+        });
+    });
+});
+
+test('Save model with errors without pointer', () => {
+    mock.onAny().replyOnce(() => {
+        return [500, { errors: [{ title: 'Server error' }] }];
+    });
+
+    const animal = new Animal({ id: 1 });
+    return animal.save().catch(err => {
+        expect(err.valErrors).toBe(null);
+    });
+});
+
+test('Fetch store with included relations and meta total', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({
+            include: 'kind',
+            'fields[kinds]': 'name',
+            'page[limit]': 2,
+            'page[offset]': 2,
+        });
+        return [
+            200,
+            {
+                data: [
+                    {
+                        type: 'animals',
+                        id: '3',
+                        attributes: { name: 'Rex' },
+                        relationships: { kind: { data: { type: 'kinds', id: '4' } } },
+                    },
+                    {
+                        type: 'animals',
+                        id: '4',
+                        attributes: { name: 'Max' },
+                        relationships: { kind: { data: null } },
+                    },
+                ],
+                included: [{ type: 'kinds', id: '4', attributes: { name: 'Good Dog' } }],
+                meta: { total: 5 },
+            },
+        ];
+    });
+
+    const store = new AnimalStore({ relations: ['kind'], limit: 2 });
+    store.__state.currentPage = 2;
+    return store.fetch().then(() => {
+        expect(store.map('name')).toEqual(['Rex', 'Max']);
+        expect(store.at(0).kind.name).toBe('Good Dog');
+        expect(store.at(1).kind.id).toBe(null);
+        expect(store.totalPages).toBe(3);
+    });
+});
+
+test('Fetch store with cursors from links', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({
+            include: null,
+            'page[limit]': 1,
+            'page[cursor]': null,
+        });
+        return [
+            200,
+            {
+                data: [{ type: 'animals', id: '1', attributes: {} }],
+                links: { next: { href: '/api/animals/?page%5Bcursor%5D=xyz' } },
+            },
+        ];
+    });
+    mock.onAny().replyOnce(config => {
+        expect(config.params['page[cursor]']).toBe('xyz');
+        return [
+            200,
+            {
+                data: [{ type: 'animals', id: '2', attributes: {} }],
+                links: { prev: '/api/animals/?page[cursor]=abc', next: null },
+            },
+        ];
+    });
+
+    const store = new AnimalStore({ limit: 1, pagination: Pagination.cursor });
+    return store.fetch().then(() => {
+        expect(store.hasNextPage).toBe(true);
+        return store.getNextPage();
+    }).then(() => {
+        expect(store.map('id')).toEqual([2]);
+        expect(store.hasNextPage).toBe(false);
+        expect(store.__state.previousCursor).toBe('abc');
+    });
+});
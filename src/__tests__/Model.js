@@ -2,7 +2,8 @@ import axios from 'axios';
 import { toJS, observable } from 'mobx';
 import MockAdapter from 'axios-mock-adapter';
 import _ from 'lodash';
-import { Model, BinderApi, Casts } from '../';
+import moment from 'moment';
+import { Model, BinderApi, Casts, Validators, isCancel, isConflict } from '../';
 import {
     Animal,
     AnimalStore,
@@ -1120,7 +1121,7 @@ describe('requests', () => {
         expect(spy).toHaveBeenCalledWith(
             '/zebra/1/',
             { with: null },
-            { skipRequestErrors: true }
+            { skipRequestErrors: true, withHeaders: true, cancelToken: expect.any(axios.CancelToken) }
         );
     });
 
@@ -1473,7 +1474,110 @@ describe('requests', () => {
         expect(spy).toHaveBeenCalledWith(
             '/api/animal/1/',
             null,
-            requestOptions
+            { ...requestOptions, cancelToken: expect.any(axios.CancelToken) }
+        );
+    });
+
+    test('optimistic save', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+        animal.setInput('name', 'Lion');
+        mock.onAny().replyOnce(config => {
+            expect(config.data).toBe('{"name":"Lion","id":1}');
+            return [200, { id: 1, name: 'Lion' }];
+        });
+
+        const promise = animal.save({ optimistic: true, onlyChanges: true });
+        expect(animal.hasUserChanges).toBe(false);
+
+        return promise.then(() => {
+            expect(animal.name).toBe('Lion');
+            expect(animal.hasUserChanges).toBe(false);
+        });
+    });
+
+    test('optimistic save fail', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+        animal.setInput('name', 'Nope');
+        mock.onAny().replyOnce(400, {
+            errors: { animal: { 1: { name: [{ code: 'invalid' }] } } },
+        });
+
+        const promise = animal.save({ optimistic: true });
+        expect(animal.hasUserChanges).toBe(false);
+
+        return promise.then(
+            () => {
+                throw new Error('Save should have failed.');
+            },
+            err => {
+                expect(err.response.status).toBe(400);
+                expect(animal.name).toBe('Nope');
+                expect(animal.hasUserChanges).toBe(true);
+                expect(animal.getOriginalValue('name')).toBe('Lino');
+                expect(toJS(animal.backendValidationErrors)).toEqual({
+                    name: ['invalid'],
+                });
+            }
+        );
+    });
+
+    test('optimistic save all fail', () => {
+        const animal = new Animal(
+            { id: 1, pastOwners: [{ id: 2 }] },
+            { relations: ['pastOwners'] }
+        );
+        animal.pastOwners.get(2).setInput('name', 'Henk');
+        animal.pastOwners.add({ name: 'Jan' });
+        mock.onAny().replyOnce(500, {});
+
+        const promise = animal.saveAll({ optimistic: true, relations: ['pastOwners'] });
+        expect(animal.hasUserChanges).toBe(false);
+
+        return promise.catch(() => {
+            expect(animal.pastOwners.hasSetChanges).toBe(true);
+            expect(animal.pastOwners.get(2).hasUserChanges).toBe(true);
+            expect(animal.pastOwners.map('name')).toEqual(['Henk', 'Jan']);
+        });
+    });
+
+    test('optimistic delete', () => {
+        const animalStore = new AnimalStore().parse([{ id: 1 }, { id: 2 }]);
+        const animal = animalStore.get(1);
+        mock.onAny().replyOnce(config => {
+            expect(config.params).toEqual(undefined);
+            return [204, null];
+        });
+
+        const promise = animal.delete({ optimistic: true });
+        expect(animalStore.map('id')).toEqual([2]);
+
+        return promise.then(() => {
+            expect(animalStore.map('id')).toEqual([2]);
+        });
+    });
+
+    test('optimistic delete fail puts model back in its store', () => {
+        const person = new Person(
+            { id: 1, pets: [{ id: 2 }, { id: 3 }, { id: 4 }] },
+            { relations: ['pets'] }
+        );
+        const pet = person.pets.get(3);
+        mock.onAny().replyOnce(500, {});
+
+        const promise = pet.delete({ optimistic: true });
+        expect(person.pets.map('id')).toEqual([2, 4]);
+        expect(person.pets.hasSetChanges).toBe(true);
+
+        return promise.then(
+            () => {
+                throw new Error('Delete should have failed.');
+            },
+            err => {
+                expect(err.response.status).toBe(500);
+                expect(person.pets.map('id')).toEqual([2, 3, 4]);
+                expect(person.pets.get(3)).toBe(pet);
+                expect(person.pets.hasSetChanges).toBe(false);
+            }
         );
     });
 
@@ -1490,6 +1594,69 @@ describe('requests', () => {
         });
     });
 
+    test('fetch supersedes the fetch in progress', () => {
+        const animal = new Animal({ id: 2 });
+        let second;
+        mock.onAny().replyOnce(() => {
+            // The second fetch starts while the first is in progress, and its response arrives first.
+            second = animal.fetch();
+            return new Promise(resolve => {
+                setTimeout(() => resolve([200, { data: { id: 2, name: 'Old' } }]), 10);
+            });
+        });
+        mock.onAny().replyOnce(200, { data: { id: 2, name: 'New' } });
+
+        const first = animal.fetch().catch(err => {
+            expect(isCancel(err)).toBe(true);
+        });
+
+        return first.then(() => second).then(() => {
+            expect(animal.name).toBe('New');
+            expect(animal.isLoading).toBe(false);
+        });
+    });
+
+    test('abortRequests', () => {
+        const animal = new Animal({ id: 2 });
+        mock.onAny().reply(200, {});
+
+        const fetch = animal.fetch();
+        const save = animal.save();
+        expect(animal.isLoading).toBe(true);
+        animal.abortRequests();
+
+        return Promise.all([
+            fetch.catch(err => err),
+            save.catch(err => err),
+        ]).then(errors => {
+            expect(errors.every(isCancel)).toBe(true);
+            expect(animal.isLoading).toBe(false);
+            expect(animal.__activeRequests).toEqual([]);
+        });
+    });
+
+    test('abortRequests aborts the requests in progress', () => {
+        const animal = new Animal({ id: 2 });
+        const tokens = [];
+        mock.onAny().reply(config => {
+            tokens.push(config.cancelToken);
+            if (tokens.length === 2) {
+                animal.abortRequests();
+            }
+            return new Promise(resolve => {
+                setTimeout(() => resolve([200, {}]), 10);
+            });
+        });
+
+        return Promise.all([
+            animal.fetch().catch(err => err),
+            animal.save().catch(err => err),
+        ]).then(errors => {
+            expect(errors.every(isCancel)).toBe(true);
+            expect(tokens.map(token => axios.isCancel(token.reason))).toEqual([true, true]);
+        });
+    });
+
     test('isLoading with failed request', () => {
         const animal = new Animal({ id: 2 });
 
@@ -1835,3 +2002,650 @@ describe('changes', () => {
         expect(animal.hasUserChanges).toBe(true);
     });
 });
+
+describe('original values', () => {
+    class Event extends Model {
+        @observable id = null;
+        @observable name = '';
+        @observable startsAt = null;
+
+        casts() {
+            return {
+                startsAt: Casts.datetime,
+            };
+        }
+    }
+
+    test('getOriginalValue after parse', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+        animal.setInput('name', 'Lion');
+
+        expect(animal.getOriginalValue('name')).toBe('Lino');
+        expect(animal.changedFields).toEqual(['name']);
+    });
+
+    test('getOriginalValue on non-existing field', () => {
+        const animal = new Animal();
+
+        expect(() => animal.getOriginalValue('foo')).toThrow(
+            'Field `foo` does not exist on the model.'
+        );
+    });
+
+    test('field changed and changed back is not a change', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+
+        animal.setInput('name', 'Lion');
+        expect(animal.hasUserChanges).toBe(true);
+
+        animal.setInput('name', 'Lino');
+        expect(animal.hasUserChanges).toBe(false);
+        expect(animal.changedFields).toEqual([]);
+        expect(animal.toBackend({ onlyChanges: true })).toEqual({ id: 1 });
+    });
+
+    test('changes are compared using casts', () => {
+        const event = new Event({ id: 1, startsAt: '2017-03-22T22:08:23Z' });
+
+        event.setInput('startsAt', moment('2017-03-22T22:08:23Z'));
+        expect(event.hasUserChanges).toBe(false);
+
+        event.setInput('startsAt', moment('2017-03-23T22:08:23Z'));
+        expect(event.hasUserChanges).toBe(true);
+        expect(moment.isMoment(event.getOriginalValue('startsAt'))).toBe(true);
+        expect(event.getOriginalValue('startsAt').toJSON()).toBe(
+            '2017-03-22T22:08:23.000Z'
+        );
+    });
+
+    test('relation changes are compared by primary key', () => {
+        const animal = new Animal(
+            { id: 1, kind: { id: 2, name: 'Dog' }, pastOwners: [{ id: 3 }] },
+            { relations: ['kind', 'pastOwners'] }
+        );
+
+        animal.setInput('kind', new Kind({ id: 4 }));
+        animal.setInput('pastOwners', [new Person({ id: 3 })]);
+        animal.pastOwners.clearSetChanges();
+
+        expect(animal.changedFields).toEqual(['kind']);
+        expect(animal.diff()).toEqual({
+            kind: { old: 2, new: 4 },
+        });
+    });
+
+    test('diff', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+
+        expect(animal.diff()).toEqual({});
+        animal.setInput('name', 'Lion');
+        expect(animal.diff()).toEqual({
+            name: { old: 'Lino', new: 'Lion' },
+        });
+    });
+
+    test('resetField on attribute', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+
+        animal.setInput('name', 'Lion');
+        animal.resetField('name');
+
+        expect(animal.name).toBe('Lino');
+        expect(toJS(animal.__changes)).toEqual([]);
+    });
+
+    test('resetField on relations', () => {
+        const animal = new Animal(
+            { id: 1, kind: { id: 2, name: 'Dog' }, pastOwners: [{ id: 3, name: 'Henk' }] },
+            { relations: ['kind', 'pastOwners'] }
+        );
+
+        animal.setInput('kind', null);
+        animal.setInput('pastOwners', []);
+        animal.resetField('kind');
+        animal.resetField('pastOwners');
+
+        expect(animal.kind.toJS()).toEqual({ id: 2, name: 'Dog' });
+        expect(animal.pastOwners.map('name')).toEqual(['Henk']);
+        expect(animal.hasUserChanges).toBe(false);
+    });
+
+    test('fromBackend sets original values', () => {
+        const animal = new Animal({ id: 1 }, { relations: ['kind.breed'] });
+
+        animal.fromBackend({
+            data: animalKindBreedData.data,
+            repos: animalKindBreedData.with,
+            relMapping: animalKindBreedData.with_mapping,
+        });
+
+        expect(animal.getOriginalValue('name')).toBe('Woofer');
+        expect(animal.getOriginalValue('kind')).toBe(4);
+        expect(animal.kind.getOriginalValue('breed')).toBe(3);
+    });
+
+    test('clearUserFieldChanges makes the current values original', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+
+        animal.setInput('name', 'Lion');
+        animal.clearUserFieldChanges();
+        animal.setInput('name', 'Lino');
+
+        expect(animal.getOriginalValue('name')).toBe('Lion');
+        expect(animal.hasUserChanges).toBe(true);
+    });
+});
+
+describe('checkpoints', () => {
+    test('rollback attributes and changes', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+        const checkpoint = animal.checkpoint();
+
+        animal.setInput('name', 'Lion');
+        animal.rollback(checkpoint);
+
+        expect(animal.name).toBe('Lino');
+        expect(toJS(animal.__changes)).toEqual([]);
+        expect(animal.hasUserChanges).toBe(false);
+    });
+
+    test('rollback keeps changes made before the checkpoint', () => {
+        const animal = new Animal({ id: 1, name: 'Lino' });
+        animal.setInput('name', 'Lion');
+        const checkpoint = animal.checkpoint();
+
+        animal.setInput('name', 'Tiger');
+        animal.rollback(checkpoint);
+
+        expect(animal.name).toBe('Lion');
+        expect(toJS(animal.__changes)).toEqual(['name']);
+    });
+
+    test('rollback observable array attribute', () => {
+        const animal = new AnimalWithArray({ foo: ['a'] });
+        const checkpoint = animal.checkpoint();
+
+        animal.foo.push('b');
+        animal.rollback(checkpoint);
+
+        expect(toJS(animal.foo)).toEqual(['a']);
+    });
+
+    test('rollback nested relations', () => {
+        const animal = new Animal(
+            {
+                id: 1,
+                kind: { id: 2, breed: { id: 3, name: 'Persian' } },
+                pastOwners: [{ id: 4, name: 'Henk' }],
+            },
+            { relations: ['kind.breed', 'pastOwners'] }
+        );
+        const pastOwner = animal.pastOwners.at(0);
+        const checkpoint = animal.checkpoint();
+
+        animal.kind.breed.setInput('name', 'Siamese');
+        pastOwner.setInput('name', 'Jan');
+        animal.pastOwners.remove(pastOwner);
+        animal.pastOwners.add({ id: 5 });
+        animal.rollback(checkpoint);
+
+        expect(animal.kind.breed.name).toBe('Persian');
+        expect(animal.pastOwners.models.slice()).toEqual([pastOwner]);
+        expect(pastOwner.name).toBe('Henk');
+        expect(animal.hasUserChanges).toBe(false);
+    });
+
+    test('rollback with invalid checkpoint', () => {
+        const animal = new Animal();
+
+        expect(() => animal.rollback()).toThrow(
+            'Expecting a checkpoint created with `checkpoint()`.'
+        );
+    });
+});
+
+describe('validations', () => {
+    class ValidatedKind extends Model {
+        static backendResourceName = 'kind';
+        @observable id = null;
+        @observable name = '';
+
+        validations() {
+            return {
+                name: Validators.required,
+            };
+        }
+    }
+
+    class ValidatedAnimal extends Model {
+        api = new BinderApi();
+        static backendResourceName = 'animal';
+        @observable id = null;
+        @observable name = '';
+        @observable nickname = '';
+        @observable code = '';
+
+        relations() {
+            return {
+                kind: ValidatedKind,
+            };
+        }
+
+        validations() {
+            return {
+                name: [Validators.required, Validators.maxLength(5)],
+                code: Validators.regex(/^[A-Z]+$/),
+                nickname: (value, model) =>
+                    value && value === model.name ? 'same_as_name' : null,
+            };
+        }
+    }
+
+    let mock;
+    beforeEach(() => {
+        mock = new MockAdapter(axios);
+    });
+    afterEach(() => {
+        if (mock) {
+            mock.restore();
+            mock = null;
+        }
+    });
+
+    test('validate without validations', () => {
+        const animal = new Animal();
+
+        expect(animal.validate()).toBe(true);
+        expect(toJS(animal.validationErrors)).toEqual({});
+    });
+
+    test('validate with built-in and cross-field rules', () => {
+        const animal = new ValidatedAnimal({
+            name: 'Doggo!',
+            nickname: 'Doggo!',
+            code: 'abc',
+        });
+
+        expect(animal.validate()).toBe(false);
+        expect(toJS(animal.clientValidationErrors)).toEqual({
+            name: ['max_length'],
+            nickname: ['same_as_name'],
+            code: ['invalid'],
+        });
+
+        animal.setInput('name', 'Doggo');
+        expect(toJS(animal.clientValidationErrors)).toEqual({
+            nickname: ['same_as_name'],
+            code: ['invalid'],
+        });
+    });
+
+    test('validate with non-existing field', () => {
+        class Zebra extends Model {
+            @observable id = null;
+
+            validations() {
+                return { stripes: Validators.required };
+            }
+        }
+
+        expect(() => new Zebra().validate()).toThrow(
+            'Validation defined for field `stripes`, which does not exist on the model.'
+        );
+    });
+
+    test('validate skips relations that are not active', () => {
+        class Zebra extends Model {
+            @observable id = null;
+
+            relations() {
+                return { kind: ValidatedKind };
+            }
+
+            validations() {
+                return { kind: (value, model) => (value && value.id ? null : 'required') };
+            }
+        }
+
+        expect(new Zebra().validate()).toBe(true);
+        expect(new Zebra(null, { relations: ['kind'] }).validate()).toBe(false);
+    });
+
+    test('required on relations', () => {
+        class Zebra extends Model {
+            @observable id = null;
+
+            relations() {
+                return { kind: ValidatedKind, pastOwners: AnimalStore };
+            }
+
+            validations() {
+                return { kind: Validators.required, pastOwners: Validators.required };
+            }
+        }
+
+        const zebra = new Zebra(null, { relations: ['kind', 'pastOwners'] });
+        expect(zebra.validate()).toBe(false);
+        expect(toJS(zebra.clientValidationErrors)).toEqual({
+            kind: ['required'],
+            pastOwners: ['required'],
+        });
+
+        zebra.kind.setInput('name', 'Zebra');
+        zebra.pastOwners.add({ id: 1 });
+        expect(zebra.validate()).toBe(true);
+
+        const saved = new Zebra({ kind: { id: 4 }, pastOwners: [{ id: 2 }] }, { relations: ['kind', 'pastOwners'] });
+        expect(saved.validate()).toBe(true);
+    });
+
+    test('regex with global flag gives the same result every time', () => {
+        const validator = Validators.regex(/^[A-Z]+$/g);
+
+        expect(validator('ABC')).toBe(null);
+        expect(validator('ABC')).toBe(null);
+        expect(validator('abc')).toBe('invalid');
+    });
+
+    test('validationErrors merges client and backend errors', () => {
+        const animal = new ValidatedAnimal({ code: 'A' });
+        animal.parseValidationErrors({
+            animal: {
+                null: {
+                    name: [{ code: 'unique' }],
+                    code: [{ code: 'invalid' }],
+                },
+            },
+        });
+        animal.validate();
+
+        expect(toJS(animal.validationErrors)).toEqual({
+            name: ['required', 'unique'],
+            code: ['invalid'],
+        });
+
+        animal.clearValidationErrors();
+        expect(toJS(animal.validationErrors)).toEqual({});
+    });
+
+    test('validationErrors uses custom validationErrorFormatter', () => {
+        class Zebra extends ValidatedAnimal {
+            validationErrorFormatter(obj) {
+                return obj.msg || obj.code;
+            }
+
+            validations() {
+                return {
+                    name: () => ({ code: 'required', msg: 'Name is required' }),
+                };
+            }
+        }
+        const zebra = new Zebra();
+        zebra.validate();
+
+        expect(toJS(zebra.validationErrors)).toEqual({
+            name: ['Name is required'],
+        });
+    });
+
+    test('save with client validation errors should not hit the api', () => {
+        const animal = new ValidatedAnimal({ nickname: 'Doggo' });
+        const spy = jest.fn();
+        mock.onAny().replyOnce(spy);
+
+        return animal.save().then(
+            () => {
+                throw new Error('Save should have been rejected.');
+            },
+            err => {
+                expect(spy).not.toHaveBeenCalled();
+                expect(animal.isLoading).toBe(false);
+                expect(err.valErrors).toEqual({
+                    animal: {
+                        '-1': {
+                            name: [{ code: 'required' }],
+                        },
+                    },
+                });
+                expect(toJS(animal.validationErrors)).toEqual({
+                    name: ['required'],
+                });
+                expect(toJS(animal.backendValidationErrors)).toEqual({});
+            }
+        );
+    });
+
+    test('save without client validation errors', () => {
+        const animal = new ValidatedAnimal({ name: 'Doggo' });
+        mock.onAny().replyOnce(() => {
+            return [201, { id: 10, name: 'Doggo' }];
+        });
+
+        return animal.save().then(() => {
+            expect(animal.id).toBe(10);
+        });
+    });
+
+    test('save all with client validation errors in relations', () => {
+        const animal = new ValidatedAnimal(
+            { name: 'Doggo', kind: { id: 4 } },
+            { relations: ['kind'] }
+        );
+        const spy = jest.fn();
+        mock.onAny().replyOnce(spy);
+
+        return animal.saveAll({ relations: ['kind'] }).then(
+            () => {
+                throw new Error('Save should have been rejected.');
+            },
+            err => {
+                expect(spy).not.toHaveBeenCalled();
+                expect(err.valErrors).toEqual({
+                    kind: {
+                        4: {
+                            name: [{ code: 'required' }],
+                        },
+                    },
+                });
+                expect(toJS(animal.validationErrors)).toEqual({});
+                expect(toJS(animal.kind.validationErrors)).toEqual({
+                    name: ['required'],
+                });
+            }
+        );
+    });
+
+    test('save all ignores validations of relations that are not saved', () => {
+        const animal = new ValidatedAnimal(
+            { name: 'Doggo', kind: { id: 4 } },
+            { relations: ['kind'] }
+        );
+        mock.onAny().replyOnce(() => {
+            return [201, {}];
+        });
+
+        return animal.saveAll();
+    });
+});
+
+describe('serialize', () => {
+    class Event extends Model {
+        static backendResourceName = 'event';
+        @observable id = null;
+        @observable name = '';
+        @observable startsAt = null;
+        @observable endsAt = null;
+
+        casts() {
+            return {
+                startsAt: Casts.momentDatetime,
+                endsAt: Casts.luxonDate,
+            };
+        }
+    }
+
+    test('round trip with relations, changes and errors', () => {
+        const animal = new Animal(
+            { id: 1, name: 'Lino', kind: { id: 4, name: 'Cat', breed: { id: 3 } }, past_owners: [{ id: 2, name: 'Henk' }] },
+            { relations: ['kind.breed', 'pastOwners'] }
+        );
+        animal.setInput('name', 'Lion');
+        animal.kind.setInput('name', 'Lion');
+        animal.setFetchParams({ foo: 'bar' });
+        animal.parseValidationErrors({ animal: { 1: { name: [{ code: 'unique' }] } } });
+
+        // Plain JSON, so it can be sent to the client or put in storage.
+        const snapshot = JSON.parse(JSON.stringify(animal.serialize()));
+        const restored = Animal.deserialize(snapshot);
+
+        expect(restored).toBeInstanceOf(Animal);
+        expect(restored.cid).not.toBe(animal.cid);
+        expect(restored.toJS()).toEqual(animal.toJS());
+        expect(restored.__activeRelations).toEqual(['kind.breed', 'pastOwners']);
+        expect(restored.changedFields).toEqual(['name']);
+        expect(restored.getOriginalValue('name')).toBe('Lino');
+        expect(restored.kind.changedFields).toEqual(['name']);
+        expect(restored.hasUserChanges).toBe(true);
+        expect(toJS(restored.backendValidationErrors)).toEqual({ name: ['unique'] });
+        expect(toJS(restored.__fetchParams)).toEqual({ foo: 'bar' });
+        expect(restored.pastOwners.at(0)).toBeInstanceOf(Person);
+        expect(restored.serialize()).toEqual(snapshot);
+    });
+
+    test('casts are parsed again', () => {
+        const event = new Event({ id: 1, starts_at: '2017-03-22T22:08:23Z', ends_at: '2017-03-23' });
+
+        const restored = Event.deserialize(JSON.parse(JSON.stringify(event.serialize())));
+
+        expect(moment.isMoment(restored.startsAt)).toBe(true);
+        expect(restored.startsAt.toJSON()).toBe('2017-03-22T22:08:23.000Z');
+        expect(restored.endsAt.toFormat('yyyy-LL-dd')).toBe('2017-03-23');
+        expect(restored.hasUserChanges).toBe(false);
+    });
+
+    test('new model with client validation errors', () => {
+        const animal = new Animal({ name: 'Lino' });
+        animal.__clientValidationErrors = { name: [{ code: 'tooShort' }] };
+
+        const restored = Animal.deserialize(animal.serialize());
+
+        expect(restored.isNew).toBe(true);
+        expect(restored.name).toBe('Lino');
+        expect(toJS(restored.clientValidationErrors)).toEqual({ name: ['tooShort'] });
+    });
+
+    test('ETag is kept', () => {
+        const animal = new Animal({ id: 1 });
+        animal.__etag = '"v1"';
+
+        const restored = Animal.deserialize(JSON.parse(JSON.stringify(animal.serialize())));
+
+        expect(restored.__etag).toBe('"v1"');
+        expect(Animal.deserialize(new Animal({ id: 1 }).serialize()).__etag).toBe(null);
+    });
+
+    test('deserialize with options', () => {
+        const animal = new Animal({ id: 1 });
+
+        const restored = Animal.deserialize(animal.serialize(), { store: 'foo' });
+
+        expect(restored.__store).toBe('foo');
+    });
+
+    test('deserialize with invalid snapshot', () => {
+        expect(() => Animal.deserialize('foo')).toThrow(
+            '[mobx-spine] Expecting a snapshot created with `serialize()`.'
+        );
+    });
+});
+
+describe('concurrency', () => {
+    class Note extends Model {
+        static backendResourceName = 'note';
+        static versionField = 'version';
+        urlRoot = '/api/note/';
+        api = new BinderApi();
+        @observable id = null;
+        @observable title = '';
+        @observable body = '';
+        @observable version = null;
+    }
+
+    let mock;
+    beforeEach(() => {
+        mock = new MockAdapter(axios);
+    });
+    afterEach(() => {
+        mock.restore();
+    });
+
+    test('version always sent when saving', () => {
+        mock.onPatch('/api/note/1/').replyOnce(config => {
+            expect(JSON.parse(config.data)).toEqual({ id: 1, title: 'New', version: 3 });
+            return [200, { id: 1, title: 'New', version: 4 }];
+        });
+
+        const note = new Note({ id: 1, title: 'Old', version: 3 });
+        note.setInput('title', 'New');
+        return note.save({ onlyChanges: true }).then(() => {
+            expect(note.version).toBe(4);
+        });
+    });
+
+    test('version not sent for new model', () => {
+        mock.onPost('/api/note/').replyOnce(config => {
+            expect(JSON.parse(config.data)).toEqual({ id: null, title: 'New', body: '', version: null });
+            return [201, { id: 1, version: 1 }];
+        });
+
+        return new Note({ title: 'New' }).save();
+    });
+
+    test('409 rejects with conflict error', () => {
+        mock.onPatch('/api/note/1/').replyOnce(409, { code: 'VersionConflict' });
+        mock.onGet('/api/note/1/').replyOnce(200, {
+            data: { id: 1, title: 'Theirs', body: 'Their body', version: 4 },
+        });
+
+        const note = new Note({ id: 1, title: 'Old', body: 'Old body', version: 3 });
+        note.setInput('title', 'Mine');
+        return note.save().then(() => {
+            throw new Error('Should have failed');
+        }, err => {
+            expect(isConflict(err)).toBe(true);
+            expect(err.serverData).toEqual({ id: 1, title: 'Theirs', body: 'Their body', version: 4 });
+            expect(note.title).toBe('Mine');
+
+            const conflicts = note.mergeConflict(err);
+            expect(conflicts).toEqual(['title']);
+            expect(note.title).toBe('Mine');
+            expect(note.body).toBe('Their body');
+            expect(note.version).toBe(4);
+            expect(note.changedFields).toEqual(['title']);
+        });
+    });
+
+    test('conflict without server data', () => {
+        mock.onPatch('/api/note/1/').replyOnce(412, {});
+        mock.onGet('/api/note/1/').replyOnce(500, {});
+
+        const note = new Note({ id: 1, version: 3 });
+        return note.save().catch(err => {
+            expect(isConflict(err)).toBe(true);
+            expect(err.serverData).toBe(null);
+            expect(() => note.mergeConflict(err)).toThrow(
+                '[mobx-spine] Expecting a conflict error with `serverData` from `save()`.'
+            );
+        });
+    });
+
+    test('other errors are not conflicts', () => {
+        mock.onPatch('/api/note/1/').replyOnce(400, {});
+
+        const note = new Note({ id: 1, version: 3 });
+        return note.save().catch(err => {
+            expect(isConflict(err)).toBe(false);
+            expect(mock.history.get.length).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,441 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { observable } from 'mobx';
+import { Model, Store, BinderApi, RestApi, JsonApiApi, GraphQLApi, OfflineQueue, MemoryStorage } from '../';
+
+let api;
+
+class Kind extends Model {
+    static backendResourceName = 'kind';
+    urlRoot = '/api/kind/';
+    @observable id = null;
+    @observable name = '';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+}
+
+class Animal extends Model {
+    static backendResourceName = 'animal';
+    urlRoot = '/api/animal/';
+    @observable id = null;
+    @observable name = '';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+
+    relations() {
+        return {
+            kind: Kind,
+        };
+    }
+}
+
+class AnimalStore extends Store {
+    static backendResourceName = 'animal';
+    Model = Animal;
+    url = '/api/animal/';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+}
+
+class Person extends Model {
+    static backendResourceName = 'person';
+    urlRoot = '/api/person/';
+    @observable id = null;
+    @observable name = '';
+
+    constructor(...args) {
+        super(...args);
+        this.api = api;
+    }
+
+    relations() {
+        return {
+            pets: AnimalStore,
+        };
+    }
+}
+
+let mock;
+let storage;
+let queue;
+beforeEach(() => {
+    mock = new MockAdapter(axios);
+    api = new BinderApi();
+    storage = new MemoryStorage();
+    queue = new OfflineQueue(api, { storage, online: false });
+});
+afterEach(() => {
+    mock.restore();
+});
+
+function stored() {
+    return JSON.parse(storage.getItem('mobx-spine-offline-queue'));
+}
+
+test('OfflineQueue with invalid options', () => {
+    expect(() => new OfflineQueue()).toThrow('[mobx-spine] OfflineQueue needs an api.');
+    expect(() => new OfflineQueue(api, { foo: 1 })).toThrow(
+        '[mobx-spine] Unknown option passed to offline queue: foo'
+    );
+});
+
+test('Queue is set on the api', () => {
+    expect(api.offlineQueue).toBe(queue);
+    expect(queue.length).toBe(0);
+    expect(queue.isOnline).toBe(false);
+});
+
+test('Save while offline is queued and applied', () => {
+    const animal = new Animal({ name: 'Woofer' });
+    animal.setInput('name', 'Rex');
+
+    return animal.save().then(() => {
+        expect(mock.history.post.length).toBe(0);
+        expect(queue.length).toBe(1);
+        expect(animal.id).toBe(-1000001);
+        expect(animal.isNew).toBe(false);
+        expect(animal.hasUserChanges).toBe(false);
+        expect(stored().entries).toEqual([{
+            id: queue.entries[0].id,
+            type: 'save',
+            resource: 'animal',
+            url: '/api/animal/',
+            data: { id: null, name: 'Rex' },
+            isNew: true,
+            modelId: -1000001,
+            primaryKey: 'id',
+            relations: [],
+            refs: { animal: {} },
+            requestOptions: {},
+        }]);
+    });
+});
+
+test('Queued requests are sent in order when online', () => {
+    mock.onPost('/api/animal/').replyOnce(config => {
+        expect(JSON.parse(config.data)).toEqual({ id: null, name: 'Woofer' });
+        return [201, { id: 10, name: 'Woofer' }];
+    });
+    mock.onPatch('/api/animal/10/').replyOnce(config => {
+        expect(JSON.parse(config.data)).toEqual({ id: 10, name: 'Rex' });
+        return [200, { id: 10, name: 'Rex' }];
+    });
+
+    const animal = new Animal({ name: 'Woofer' });
+    return animal.save().then(() => {
+        animal.setInput('name', 'Rex');
+        return animal.save({ onlyChanges: true });
+    }).then(() => {
+        expect(queue.entries.map(entry => entry.url)).toEqual([
+            '/api/animal/',
+            '/api/animal/-1000001/',
+        ]);
+        const replay = queue.setOnline(true);
+        expect(queue.isReplaying).toBe(true);
+        return replay;
+    }).then(() => {
+        expect(mock.history.post.length).toBe(1);
+        expect(mock.history.patch.length).toBe(1);
+        expect(animal.id).toBe(10);
+        expect(queue.length).toBe(0);
+        expect(queue.isReplaying).toBe(false);
+        expect(stored()).toEqual({ entries: [], failed: [] });
+    });
+});
+
+test('Temporary ids in relations of later requests are replaced', () => {
+    mock.onPost('/api/kind/').replyOnce(201, { id: 4, name: 'Dog' });
+    mock.onPost('/api/animal/').replyOnce(config => {
+        expect(JSON.parse(config.data).kind).toBe(4);
+        return [201, { id: 10 }];
+    });
+
+    const animal = new Animal({ name: 'Woofer', kind: { name: 'Dog' } }, { relations: ['kind'] });
+    return animal.kind.save().then(() => {
+        return animal.save();
+    }).then(() => {
+        expect(queue.entries[1].data.kind).toBe(-1000001);
+        return queue.setOnline(true);
+    }).then(() => {
+        expect(animal.kind.id).toBe(4);
+        expect(animal.id).toBe(10);
+    });
+});
+
+test('saveAll while offline is queued with negative ids', () => {
+    mock.onPut('/api/person/').replyOnce(config => {
+        const body = JSON.parse(config.data);
+        expect(body.data).toEqual([{ id: body.data[0].id, name: 'Henk', pets: [body.with.animal[0].id] }]);
+        expect(body.with.animal[0].name).toBe('Woofer');
+        return [200, {
+            idmap: {
+                person: [[body.data[0].id, 3]],
+                animal: [[body.with.animal[0].id, 10]],
+            },
+        }];
+    });
+
+    const person = new Person({ name: 'Henk', pets: [{ name: 'Woofer' }] }, { relations: ['pets'] });
+    return person.saveAll({ relations: ['pets'] }).then(() => {
+        expect(queue.length).toBe(1);
+        expect(queue.entries[0].data.data[0]).toEqual({ id: -1000001, name: 'Henk', pets: [-1000002] });
+        expect(person.isNew).toBe(false);
+        expect(person.pets.at(0).isNew).toBe(false);
+        expect(person.pets.at(0).id).toBe(-1000002);
+        expect(queue.entries[0].refs).toEqual({
+            person: { pets: 'animal' },
+            animal: {},
+        });
+        return queue.setOnline(true);
+    }).then(() => {
+        expect(person.id).toBe(3);
+        expect(person.pets.at(0).id).toBe(10);
+    });
+});
+
+test('Delete while offline removes the model from its store', () => {
+    mock.onDelete('/api/animal/2/').replyOnce(204, {});
+
+    const store = new AnimalStore();
+    store.parse([{ id: 1 }, { id: 2 }]);
+    return store.get(2).delete().then(() => {
+        expect(store.map('id')).toEqual([1]);
+        expect(queue.length).toBe(1);
+        return queue.setOnline(true);
+    }).then(() => {
+        expect(mock.history.delete.length).toBe(1);
+    });
+});
+
+test('Mutations are queued while the queue is replaying', () => {
+    let respond;
+    mock.onPatch('/api/animal/1/').replyOnce(() => {
+        return new Promise(resolve => {
+            respond = resolve;
+        });
+    });
+    mock.onPatch('/api/animal/2/').replyOnce(200, { id: 2 });
+
+    const first = new Animal({ id: 1 });
+    const second = new Animal({ id: 2 });
+    return first.save().then(() => {
+        const replay = queue.setOnline(true);
+        second.save();
+        expect(queue.length).toBe(2);
+        return new Promise(resolve => setTimeout(resolve)).then(() => {
+            expect(mock.history.patch.length).toBe(1);
+            respond([200, { id: 1 }]);
+            return replay;
+        });
+    }).then(() => {
+        expect(mock.history.patch.map(req => req.url)).toEqual(['/api/animal/1/', '/api/animal/2/']);
+        expect(queue.length).toBe(0);
+    });
+});
+
+test('Network error while replaying goes offline again', () => {
+    mock.onPatch('/api/animal/1/').networkErrorOnce();
+    mock.onPatch('/api/animal/1/').replyOnce(200, { id: 1 });
+
+    const animal = new Animal({ id: 1 });
+    return animal.save().then(() => queue.setOnline(true)).then(() => {
+        expect(queue.isOnline).toBe(false);
+        expect(queue.length).toBe(1);
+        expect(queue.failed.length).toBe(0);
+        return queue.setOnline(true);
+    }).then(() => {
+        expect(queue.length).toBe(0);
+        expect(mock.history.patch.length).toBe(2);
+    });
+});
+
+test('Rejected request is moved to failed and the rest is sent', () => {
+    mock.onPatch('/api/animal/1/').replyOnce(400, {
+        errors: { animal: { 1: { name: [{ code: 'required' }] } } },
+    });
+    mock.onPatch('/api/animal/2/').replyOnce(200, { id: 2 });
+
+    const first = new Animal({ id: 1 });
+    const second = new Animal({ id: 2 });
+    return Promise.all([first.save(), second.save()]).then(() => queue.setOnline(true)).then(() => {
+        expect(queue.length).toBe(0);
+        expect(queue.failed.length).toBe(1);
+        expect(queue.failed[0].url).toBe('/api/animal/1/');
+        expect(queue.failed[0].error).toEqual({
+            message: 'Request failed with status code 400',
+            status: 400,
+            valErrors: { animal: { 1: { name: [{ code: 'required' }] } } },
+        });
+        expect(first.backendValidationErrors).toEqual({ name: ['required'] });
+        expect(stored().failed.length).toBe(1);
+    });
+});
+
+test('Failed requests can be retried or discarded', () => {
+    mock.onPatch('/api/animal/1/').replyOnce(500, {});
+    mock.onPatch('/api/animal/1/').replyOnce(200, { id: 1 });
+
+    const animal = new Animal({ id: 1 });
+    return animal.save().then(() => queue.setOnline(true)).then(() => {
+        expect(queue.failed.length).toBe(1);
+        return queue.retryFailed();
+    }).then(() => {
+        expect(queue.failed.length).toBe(0);
+        expect(queue.length).toBe(0);
+        expect(mock.history.patch.length).toBe(2);
+
+        queue.failed.push({ id: 'foo' });
+        queue.discardFailed();
+        expect(queue.failed.length).toBe(0);
+    });
+});
+
+// Queues a new kind and a new animal of that kind, and restores the queue in a new session with `createApi()`.
+function queueAndReload(createApi) {
+    api = createApi();
+    queue = new OfflineQueue(api, { storage, online: false });
+    const animal = new Animal({ name: 'Woofer', kind: { name: 'Dog' } }, { relations: ['kind'] });
+    return animal.kind.save().then(() => animal.save()).then(() => {
+        // As if the page was reloaded.
+        api = createApi();
+        const restored = new OfflineQueue(api, {
+            storage,
+            online: true,
+            models: { animal: Animal, kind: Kind },
+        });
+        expect(restored.length).toBe(2);
+        expect(restored.isReplaying).toBe(true);
+        return restored.replay().then(() => restored);
+    });
+}
+
+test('Queue is restored from storage and replayed with BinderApi', () => {
+    mock.onPost('/api/kind/').replyOnce(201, { id: 4 });
+    mock.onPost('/api/animal/').replyOnce(config => {
+        expect(JSON.parse(config.data).kind).toBe(4);
+        return [201, { id: 10 }];
+    });
+
+    return queueAndReload(() => new BinderApi()).then(() => {
+        expect(mock.history.post.length).toBe(2);
+        expect(stored().entries).toEqual([]);
+    });
+});
+
+test('Queue is restored from storage and replayed with RestApi', () => {
+    mock.onPost('/api/kind').replyOnce(201, { id: 4 });
+    mock.onPost('/api/animal').replyOnce(config => {
+        expect(JSON.parse(config.data).kind).toBe(4);
+        return [400, { name: ['required'] }];
+    });
+
+    return queueAndReload(() => new RestApi()).then(restored => {
+        expect(restored.length).toBe(0);
+        expect(restored.failed.length).toBe(1);
+        expect(restored.failed[0].error).toEqual({
+            message: 'Request failed with status code 400',
+            status: 400,
+            valErrors: { animal: { [restored.failed[0].modelId]: { name: [{ code: 'required' }] } } },
+        });
+    });
+});
+
+test('Queue is restored from storage and replayed with JsonApiApi', () => {
+    mock.onPost('/api/kind/').replyOnce(201, { data: { type: 'kind', id: '4', attributes: {} } });
+    mock.onPost('/api/animal/').replyOnce(config => {
+        expect(JSON.parse(config.data).data.relationships).toEqual({
+            kind: { data: { type: 'kind', id: '4' } },
+        });
+        return [201, { data: { type: 'animal', id: '10', attributes: {} } }];
+    });
+
+    return queueAndReload(() => new JsonApiApi()).then(restored => {
+        expect(mock.history.post.length).toBe(2);
+        expect(restored.failed).toEqual([]);
+    });
+});
+
+test('Queue is restored from storage and replayed with GraphQLApi', () => {
+    const requests = [];
+    const createApi = () => {
+        const graphQLApi = new GraphQLApi();
+        graphQLApi.transport = ({ query, variables }) => {
+            requests.push({ query, variables });
+            const field = query.includes('createKind') ? 'createKind' : 'createAnimal';
+            return Promise.resolve({ data: { [field]: { id: field === 'createKind' ? 4 : 10 } } });
+        };
+        return graphQLApi;
+    };
+
+    return queueAndReload(createApi).then(restored => {
+        expect(restored.failed).toEqual([]);
+        expect(requests.length).toBe(2);
+        expect(requests[1].query).toBe(
+            'mutation($input: AnimalInput!) { createAnimal(input: $input) { id name kind { id name } } }'
+        );
+        expect(requests[1].variables.input.kind).toBe(4);
+    });
+});
+
+test('Temporary ids of a previous session are not handed out again', () => {
+    return new Animal({ name: 'Woofer' }).save().then(() => {
+        const restored = new OfflineQueue(api, { storage, online: false });
+        const animal = new Animal({ name: 'Rex' });
+        return animal.save().then(() => {
+            expect(restored.entries.map(entry => entry.modelId)).toEqual([-1000001, -1000002]);
+            expect(animal.id).toBe(-1000002);
+        });
+    });
+});
+
+test('Saving file changes while offline is rejected', () => {
+    expect.assertions(3);
+    class FileAnimal extends Animal {
+        static fileFields = ['picture'];
+        @observable picture = null;
+    }
+    global.URL = { createObjectURL: () => 'blob:1' };
+    const animal = new FileAnimal({ id: 1 });
+    animal.setInput('name', 'Rex');
+    animal.setInput('picture', { name: 'rex.png', type: 'image/png' });
+    delete global.URL;
+
+    return animal.save().catch(err => {
+        expect(err.message).toBe('[mobx-spine] Cannot save file fields while offline: picture.');
+        expect(queue.length).toBe(0);
+        expect(animal.hasUserChanges).toBe(true);
+    });
+});
+
+test('Entry of a previous session without its model class fails', () => {
+    const animal = new Animal({ id: 1 });
+    return animal.save().then(() => {
+        const restored = new OfflineQueue(new BinderApi(), { storage, online: true });
+        return restored.replay().then(() => {
+            expect(mock.history.patch.length).toBe(0);
+            expect(restored.failed[0].error.message).toBe(
+                '[mobx-spine] OfflineQueue needs the model of `animal` in its `models` option to send a request of a previous session.'
+            );
+        });
+    });
+});
+
+test('Online queue without entries sends requests right away', () => {
+    mock.onPatch('/api/animal/1/').replyOnce(200, { id: 1, name: 'Rex' });
+
+    queue.isOnline = true;
+    const animal = new Animal({ id: 1 });
+    return animal.save().then(() => {
+        expect(animal.name).toBe('Rex');
+        expect(queue.length).toBe(0);
+    });
+});
@@ -0,0 +1,179 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { Repository, BinderApi } from '../';
+import { Animal, AnimalStore, Person, PersonStore } from './fixtures/Animal';
+
+const animalsWithSameOwner = {
+    data: [{ id: 1, owner: 5 }, { id: 2, owner: 5 }, { id: 3, owner: 6 }],
+    with: {
+        person: [{ id: 5, name: 'Henk' }, { id: 6, name: 'Jan' }],
+    },
+    with_mapping: { owner: 'person' },
+};
+
+test('get model with same primary key', () => {
+    const repository = new Repository();
+    const person = new Person({ id: 5 }, { repository });
+
+    expect(repository.get(Person, 5)).toBe(person);
+    expect(repository.get(Person, '5')).toBe(person);
+    expect(repository.get(Person, 6)).toBe(undefined);
+    expect(repository.get(Animal, 5)).toBe(undefined);
+});
+
+test('get model with missing relations', () => {
+    const repository = new Repository();
+    new Person({ id: 5 }, { repository, relations: ['town'] });
+
+    expect(repository.get(Person, 5, ['town'])).toBeInstanceOf(Person);
+    expect(repository.get(Person, 5, ['pets'])).toBe(undefined);
+});
+
+test('new models are not added', () => {
+    const repository = new Repository();
+    new Person({ name: 'Henk' }, { repository });
+
+    expect(repository.__models).toEqual({});
+});
+
+test('remove and clear', () => {
+    const repository = new Repository();
+    const person = new Person({ id: 5 }, { repository });
+    new Animal({ id: 1 }, { repository });
+
+    repository.remove(person);
+    expect(repository.get(Person, 5)).toBe(undefined);
+    expect(repository.get(Animal, 1)).toBeInstanceOf(Animal);
+
+    repository.clear();
+    expect(repository.get(Animal, 1)).toBe(undefined);
+});
+
+test('relations in a store share the same model', () => {
+    const repository = new Repository();
+    const animalStore = new AnimalStore({ relations: ['owner'], repository });
+
+    animalStore.fromBackend({
+        data: animalsWithSameOwner.data,
+        repos: animalsWithSameOwner.with,
+        relMapping: animalsWithSameOwner.with_mapping,
+    });
+
+    expect(animalStore.get(1).owner).toBe(animalStore.get(2).owner);
+    expect(animalStore.get(3).owner).not.toBe(animalStore.get(1).owner);
+
+    animalStore.get(1).owner.setInput('name', 'Piet');
+    expect(animalStore.get(2).owner.name).toBe('Piet');
+});
+
+test('stores share the same model', () => {
+    const repository = new Repository();
+    const animalStore = new AnimalStore({ relations: ['owner'], repository });
+    const personStore = new PersonStore({ repository });
+
+    animalStore.fromBackend({
+        data: animalsWithSameOwner.data,
+        repos: animalsWithSameOwner.with,
+        relMapping: animalsWithSameOwner.with_mapping,
+    });
+    personStore.fromBackend({ data: [{ id: 5, name: 'Henk de Vries' }] });
+
+    expect(personStore.get(5)).toBe(animalStore.get(1).owner);
+    expect(animalStore.get(1).owner.name).toBe('Henk de Vries');
+
+    personStore.add({ id: 6, name: 'Jan Jansen' });
+    expect(personStore.get(6)).toBe(animalStore.get(3).owner);
+});
+
+test('deleted model is removed from every store and the repository', () => {
+    const mock = new MockAdapter(axios);
+    mock.onDelete('/person/5/').replyOnce(204, {});
+
+    const repository = new Repository();
+    const first = new PersonStore({ repository });
+    const second = new PersonStore({ repository });
+    first.fromBackend({ data: [{ id: 5, name: 'Henk' }, { id: 6, name: 'Jan' }] });
+    second.fromBackend({ data: [{ id: 5, name: 'Henk' }] });
+
+    const henk = second.get(5);
+    return henk.delete().then(() => {
+        mock.restore();
+        expect(first.map('id')).toEqual([6]);
+        expect(second.length).toBe(0);
+        expect(repository.get(Person, 5)).toBe(undefined);
+        expect(repository.get(Person, 6)).toBe(first.get(6));
+    });
+});
+
+test('optimistic delete of a shared model is undone in every store', () => {
+    expect.assertions(5);
+    const mock = new MockAdapter(axios);
+    mock.onDelete('/person/5/').replyOnce(500, {});
+
+    const repository = new Repository();
+    const first = new PersonStore({ repository });
+    const second = new PersonStore({ repository });
+    first.fromBackend({ data: [{ id: 6, name: 'Jan' }, { id: 5, name: 'Henk' }] });
+    second.fromBackend({ data: [{ id: 5, name: 'Henk' }] });
+
+    const henk = first.get(5);
+    const promise = henk.delete({ optimistic: true });
+    expect(first.map('id')).toEqual([6]);
+    expect(second.length).toBe(0);
+    return promise.catch(() => {
+        mock.restore();
+        expect(first.map('id')).toEqual([6, 5]);
+        expect(second.get(5)).toBe(henk);
+        expect(repository.get(Person, 5)).toBe(henk);
+    });
+});
+
+test('changing a relation does not change the shared model', () => {
+    const repository = new Repository();
+    const animalStore = new AnimalStore({ relations: ['owner'], repository });
+    animalStore.fromBackend({
+        data: animalsWithSameOwner.data,
+        repos: animalsWithSameOwner.with,
+        relMapping: animalsWithSameOwner.with_mapping,
+    });
+    const henk = animalStore.get(1).owner;
+    const jan = animalStore.get(3).owner;
+
+    animalStore.get(1).fromBackend({
+        data: { id: 1, owner: 6 },
+        repos: { person: [{ id: 6, name: 'Jan' }] },
+        relMapping: { owner: 'person' },
+    });
+    expect(animalStore.get(1).owner).toBe(jan);
+    expect(henk.id).toBe(5);
+
+    animalStore.get(2).parse({ owner: null });
+    expect(animalStore.get(2).owner.id).toBe(null);
+    expect(henk.id).toBe(5);
+
+    animalStore.get(2).setInput('owner', henk);
+    expect(animalStore.get(2).owner).toBe(henk);
+    animalStore.get(2).setInput('owner', new Person({ id: 7, name: 'Kees' }));
+    expect(animalStore.get(2).owner.id).toBe(7);
+    expect(henk.id).toBe(5);
+});
+
+test('repository on the api', () => {
+    const api = new BinderApi();
+    api.repository = new Repository();
+
+    class SharedPerson extends Person {
+        api = api;
+    }
+    class SharedPersonStore extends PersonStore {
+        Model = SharedPerson;
+        api = api;
+    }
+
+    const first = new SharedPersonStore();
+    const second = new SharedPersonStore();
+    first.fromBackend({ data: [{ id: 5, name: 'Henk' }] });
+    second.fromBackend({ data: [{ id: 5, name: 'Henk' }] });
+
+    expect(first.get(5)).toBe(second.get(5));
+});
@@ -0,0 +1,305 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { observable } from 'mobx';
+import { Model, Store, Api, RestApi, Pagination, isConflict } from '../';
+import { parseLinkHeader } from '../RestApi';
+
+class Owner extends Model {
+    static backendResourceName = 'owner';
+    api = new RestApi();
+    @observable id = null;
+    @observable name = '';
+}
+
+class Pet extends Model {
+    static backendResourceName = 'pet';
+    urlRoot = '/pets/';
+    api = new RestApi();
+    @observable id = null;
+    @observable name = '';
+
+    relations() {
+        return {
+            owner: Owner,
+        };
+    }
+}
+
+class PetStore extends Store {
+    Model = Pet;
+    url = '/pets';
+    api = new RestApi();
+}
+
+let mock;
+beforeEach(() => {
+    mock = new MockAdapter(axios);
+});
+afterEach(() => {
+    if (mock) {
+        mock.restore();
+        mock = null;
+    }
+});
+
+test('Api base class without implementation', () => {
+    const pet = new Pet({ id: 1 });
+    pet.api = new Api();
+
+    expect(() => pet.fetch()).toThrow(
+        '[mobx-spine] `fetchModel()` is not implemented by this api.'
+    );
+});
+
+test('Fetch model with embedded relation', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('get');
+        expect(config.url).toBe('/pets/1');
+        expect(config.params).toEqual({});
+        return [200, { id: 1, name: 'Rex', owner: { id: 5, name: 'Henk' } }];
+    });
+
+    const pet = new Pet({ id: 1 }, { relations: ['owner'] });
+    return pet.fetch().then(() => {
+        expect(pet.name).toBe('Rex');
+        expect(pet.owner.id).toBe(5);
+        expect(pet.owner.name).toBe('Henk');
+        expect(pet.hasUserChanges).toBe(false);
+    });
+});
+
+test('Url with trailing slash', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.url).toBe('/pets/1/');
+        return [200, {}];
+    });
+    mock.onAny().replyOnce(config => {
+        expect(config.url).toBe('/');
+        return [200, {}];
+    });
+
+    const api = new RestApi();
+    api.trailingSlash = true;
+    return api.get('/pets/1/').then(() => new RestApi().get('/'));
+});
+
+test('Save new model', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('post');
+        expect(config.url).toBe('/pets');
+        expect(JSON.parse(config.data)).toEqual({
+            id: null,
+            name: 'Rex',
+            owner: 5,
+        });
+        return [201, { id: 3, name: 'Rex', owner: { id: 5, name: 'Henk' } }];
+    });
+
+    const pet = new Pet({ name: 'Rex', owner: { id: 5 } }, { relations: ['owner'] });
+    return pet.save().then(() => {
+        expect(pet.id).toBe(3);
+        expect(pet.owner.name).toBe('Henk');
+    });
+});
+
+test('Save model with validation errors', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('patch');
+        return [422, { errors: { name: ['This field is required.'] } }];
+    });
+
+    const pet = new Pet({ id: 1 });
+    return pet.save().catch(err => {
+        expect(err.valErrors).toEqual({
+            pet: { 1: { name: [{ code: 'This field is required.' }] } },
+        });
+        expect(pet.backendValidationErrors).toEqual({
+            name: ['This field is required.'],
+        });
+    });
+});
+
+test('Save new model with unwrapped validation errors', () => {
+    mock.onAny().replyOnce(() => {
+        return [400, { name: 'Too short.' }];
+    });
+
+    const pet = new Pet();
+    return pet.save().catch(() => {
+        expect(pet.backendValidationErrors).toEqual({
+            name: ['Too short.'],
+        });
+    });
+});
+
+test('Delete model', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.method).toBe('delete');
+        expect(config.url).toBe('/pets/1');
+        return [204, null];
+    });
+
+    return new Pet({ id: 1 }).delete();
+});
+
+test('Fetch store with X-Total-Count', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({ limit: 2, offset: 2 });
+        return [
+            200,
+            [{ id: 3, name: 'Rex' }, { id: 4, name: 'Max' }],
+            { 'X-Total-Count': '5' },
+        ];
+    });
+
+    const store = new PetStore({ limit: 2 });
+    store.__state.currentPage = 2;
+    return store.fetch().then(response => {
+        expect(response).toEqual([{ id: 3, name: 'Rex' }, { id: 4, name: 'Max' }]);
+        expect(store.map('name')).toEqual(['Rex', 'Max']);
+        expect(store.totalPages).toBe(3);
+        expect(store.hasNextPage).toBe(true);
+    });
+});
+
+test('Fetch store without limit or X-Total-Count', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({});
+        return [200, [{ id: 3 }, { id: 4 }]];
+    });
+
+    const store = new PetStore({ limit: null });
+    return store.fetch().then(() => {
+        expect(store.length).toBe(2);
+        expect(store.totalPages).toBe(0);
+    });
+});
+
+test('Fetch store with cursors from Link header', () => {
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({ limit: 2, cursor: null });
+        return [
+            200,
+            [{ id: 1 }, { id: 2 }],
+            { link: '<https://example.com/pets?cursor=a%3D&limit=2>; rel="next"' },
+        ];
+    });
+    mock.onAny().replyOnce(config => {
+        expect(config.params).toEqual({ limit: 2, cursor: 'a=' });
+        return [200, [{ id: 3 }], {}];
+    });
+
+    const store = new PetStore({ limit: 2, pagination: Pagination.cursor });
+    return store.fetch().then(() => {
+        expect(store.hasNextPage).toBe(true);
+        expect(store.hasPreviousPage).toBe(false);
+        return store.getNextPage();
+    }).then(() => {
+        expect(store.map('id')).toEqual([3]);
+        expect(store.hasNextPage).toBe(false);
+    });
+});
+
+test('Parse Link header', () => {
+    expect(parseLinkHeader(undefined)).toEqual({});
+    expect(
+        parseLinkHeader(
+            '<https://a.com/?page=2>; rel="next", <https://a.com/?page=5>; rel=last, <https://a.com/?a=1,2>; rel="prev first"'
+        )
+    ).toEqual({
+        next: 'https://a.com/?page=2',
+        last: 'https://a.com/?page=5',
+        prev: 'https://a.com/?a=1,2',
+        first: 'https://a.com/?a=1,2',
+    });
+});
+
+describe('etag', () => {
+    test('ETag of fetch sent as If-Match when saving', () => {
+        mock.onGet('/pets/1').replyOnce(200, { id: 1, name: 'Rex' }, { etag: '"v1"' });
+        mock.onPatch('/pets/1').replyOnce(config => {
+            expect(config.headers['If-Match']).toBe('"v1"');
+            return [200, { id: 1, name: 'Max' }, { ETag: '"v2"' }];
+        });
+        mock.onPatch('/pets/1').replyOnce(config => {
+            expect(config.headers['If-Match']).toBe('"v2"');
+            return [200, { id: 1, name: 'Bello' }];
+        });
+
+        const pet = new Pet({ id: 1 });
+        return pet.fetch().then(() => {
+            pet.setInput('name', 'Max');
+            return pet.save();
+        }).then(() => {
+            pet.setInput('name', 'Bello');
+            return pet.save();
+        }).then(() => {
+            expect(mock.history.patch.length).toBe(2);
+        });
+    });
+
+    test('No If-Match when creating', () => {
+        mock.onPost('/pets').replyOnce(config => {
+            expect(config.headers['If-Match']).toBe(undefined);
+            return [201, { id: 1 }, { etag: '"v1"' }];
+        });
+
+        const pet = new Pet();
+        pet.__etag = '"v0"';
+        return pet.save();
+    });
+
+    test('412 rejects with conflict error and current data', () => {
+        mock.onGet('/pets/1').replyOnce(200, { id: 1, name: 'Rex' }, { etag: '"v1"' });
+        mock.onPatch('/pets/1').replyOnce(412, {});
+        mock.onGet('/pets/1').replyOnce(200, { id: 1, name: 'Max' }, { etag: '"v2"' });
+
+        const pet = new Pet({ id: 1 });
+        return pet.fetch().then(() => {
+            pet.setInput('name', 'Bello');
+            return pet.save();
+        }).then(() => {
+            throw new Error('Should have failed');
+        }, err => {
+            expect(isConflict(err)).toBe(true);
+            expect(err.response.status).toBe(412);
+            expect(err.serverData).toEqual({ id: 1, name: 'Max' });
+            expect(err.serverEtag).toBe('"v2"');
+            // The user's changes are kept.
+            expect(pet.name).toBe('Bello');
+            expect(pet.__etag).toBe('"v1"');
+
+            expect(pet.mergeConflict(err)).toEqual(['name']);
+            expect(pet.__etag).toBe('"v2"');
+        });
+    });
+});
+
+test('Query is written like django-filter', () => {
+    const petStore = new PetStore();
+    petStore.api.orderingParam = 'sort';
+    petStore
+        .where('owner.name', 'icontains', 'h')
+        .where('id', 'in', [1, 2])
+        .where('name', 'Woofer')
+        .orderBy('-owner.name')
+        .search('w');
+
+    expect(petStore.params).toEqual({
+        owner__name__icontains: 'h',
+        id__in: '1,2',
+        name: 'Woofer',
+        sort: '-owner__name',
+        search: 'w',
+    });
+});
+
+test('Api without query support', () => {
+    class OtherStore extends Store {
+        Model = Pet;
+        api = new Api();
+    }
+    expect(() => new OtherStore().where('name', 'Woofer')).toThrow(
+        '[mobx-spine] `buildQueryParams()` is not implemented by this api.'
+    );
+});
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import MockAdapter from 'axios-mock-adapter';
-import { Model, Store, BinderApi } from '../';
+import { observable } from 'mobx';
+import { Model, Store, BinderApi, Pagination, isCancel } from '../';
 import {
     Animal,
     AnimalStore,
@@ -571,6 +572,30 @@ test('clearing an empty store should not register a change', () => {
     expect(animalStore.hasSetChanges).toEqual(false);
 });
 
+test('rollback to checkpoint', () => {
+    const animalStore = new AnimalStore().parse(simpleData);
+    const monkey = animalStore.get(2);
+    const checkpoint = animalStore.checkpoint();
+
+    monkey.setInput('name', 'Gorilla');
+    animalStore.remove(monkey);
+    animalStore.add({ id: 20 });
+    animalStore.rollback(checkpoint);
+
+    expect(animalStore.map('id')).toEqual([2, 3, 10]);
+    expect(animalStore.get(2)).toBe(monkey);
+    expect(monkey.name).toBe('Monkey');
+    expect(animalStore.hasUserChanges).toBe(false);
+});
+
+test('rollback with invalid checkpoint', () => {
+    const animalStore = new AnimalStore();
+
+    expect(() => animalStore.rollback(null)).toThrow(
+        'Expecting a checkpoint created with `checkpoint()`.'
+    );
+});
+
 describe('requests', () => {
     let mock;
     beforeEach(() => {
@@ -730,6 +755,69 @@ describe('requests', () => {
         });
     });
 
+    test('fetch supersedes the fetch in progress', () => {
+        const animalStore = new AnimalStore();
+        let second;
+        mock.onAny().replyOnce(() => {
+            // The second fetch starts while the first is in progress, and its response arrives first.
+            second = animalStore.fetch();
+            return new Promise(resolve => {
+                setTimeout(() => resolve([200, animalsData]), 10);
+            });
+        });
+        mock.onAny().replyOnce(200, {
+            data: [{ id: 5 }],
+            meta: { total_records: 1 },
+        });
+
+        const first = animalStore.fetch().then(
+            () => {
+                throw new Error('Fetch should have been cancelled.');
+            },
+            err => {
+                expect(isCancel(err)).toBe(true);
+            }
+        );
+
+        return first.then(() => second).then(() => {
+            expect(animalStore.map('id')).toEqual([5]);
+            expect(animalStore.isLoading).toBe(false);
+        });
+    });
+
+    test('abortFetch', () => {
+        const animalStore = new AnimalStore();
+        mock.onAny().replyOnce(200, animalsData);
+
+        const promise = animalStore.fetch();
+        animalStore.abortFetch();
+
+        return promise.catch(err => {
+            expect(isCancel(err)).toBe(true);
+            expect(animalStore.isLoading).toBe(false);
+            expect(animalStore.length).toBe(0);
+        });
+    });
+
+    test('abortFetch stops retrying the request', () => {
+        const animalStore = new AnimalStore();
+        animalStore.api = new BinderApi();
+        animalStore.api.retry = {};
+        animalStore.api.__sleep = () => {
+            animalStore.abortFetch();
+            return Promise.resolve();
+        };
+        mock.onAny().replyOnce(503, {});
+        mock.onAny().replyOnce(200, animalsData);
+
+        return animalStore.fetch().catch(err => {
+            expect(isCancel(err)).toBe(true);
+            return new Promise(resolve => setTimeout(resolve, 10));
+        }).then(() => {
+            expect(mock.history.get.length).toBe(1);
+        });
+    });
+
     test('isLoading with failed request', () => {
         const animalStore = new AnimalStore();
 
@@ -832,6 +920,258 @@ describe('Pagination', () => {
             });
     });
 
+    test('loadMore - appends the next page', () => {
+        mock.onAny().replyOnce(200, pagination1Data);
+
+        const animalStore = new AnimalStore({
+            limit: 3,
+        });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                const first = animalStore.at(0);
+                mock.onAny().replyOnce(config => {
+                    expect(config.params).toEqual({
+                        with: null,
+                        limit: 3,
+                        offset: 3,
+                    });
+                    return [200, pagination2Data];
+                });
+
+                return animalStore.loadMore().then(() => {
+                    expect(animalStore.at(0)).toBe(first);
+                });
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([1, 2, 3, 4, 5, 6]);
+                expect(animalStore.currentPage).toBe(2);
+                expect(animalStore.hasNextPage).toBe(true);
+                expect(animalStore.__state.totalRecords).toBe(11);
+            });
+    });
+
+    test('loadMore - deduplicates by primary key', () => {
+        mock.onAny().replyOnce(200, pagination1Data);
+        const animalStore = new AnimalStore({ limit: 3 });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                const burhan = animalStore.get(2);
+                mock.onAny().replyOnce(200, {
+                    data: [{ id: 2, name: 'Burhan II' }, { id: 4 }],
+                    meta: { total_records: 11 },
+                });
+
+                return animalStore.loadMore().then(() => {
+                    expect(animalStore.get(2)).toBe(burhan);
+                });
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([1, 2, 3, 4]);
+                expect(animalStore.get(2).name).toBe('Burhan II');
+            });
+    });
+
+    test('loadMore - without next page', () => {
+        mock.onAny().replyOnce(200, pagination4Data);
+        const animalStore = new AnimalStore({ limit: 3 });
+
+        return animalStore.setPage(4).then(() => {
+            expect(() => animalStore.loadMore()).toThrow(
+                'There is no next page.'
+            );
+        });
+    });
+
+    test('loadMore - failed request can be retried', () => {
+        mock.onAny().replyOnce(200, pagination1Data);
+        const animalStore = new AnimalStore({ limit: 3 });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                mock.onAny().replyOnce(500, {});
+                return animalStore.loadMore();
+            })
+            .catch(() => {
+                expect(animalStore.currentPage).toBe(1);
+                expect(animalStore.map('id')).toEqual([1, 2, 3]);
+            });
+    });
+
+    test('loadMore - while loading returns the same promise', () => {
+        mock.onAny().replyOnce(200, pagination1Data);
+        const animalStore = new AnimalStore({ limit: 3 });
+
+        return animalStore.fetch().then(() => {
+            mock.onAny().replyOnce(200, pagination2Data);
+            const promise = animalStore.loadMore();
+
+            expect(animalStore.loadMore()).toBe(promise);
+            return promise;
+        });
+    });
+
+    test('loadMore - starts over when params change', () => {
+        mock.onAny().replyOnce(200, pagination1Data);
+        const animalStore = new AnimalStore({ limit: 3 });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                animalStore.params = { '.name': 'Burhan' };
+                mock.onAny().replyOnce(config => {
+                    expect(config.params).toEqual({
+                        with: null,
+                        limit: 3,
+                        offset: null,
+                        '.name': 'Burhan',
+                    });
+                    return [200, { data: [{ id: 2 }], meta: { total_records: 1 } }];
+                });
+
+                return animalStore.loadMore();
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([2]);
+                expect(animalStore.currentPage).toBe(1);
+                expect(animalStore.hasNextPage).toBe(false);
+            });
+    });
+
+    test('page number pagination', () => {
+        const animalStore = new AnimalStore({
+            limit: 3,
+            pagination: Pagination.page,
+        });
+        mock.onAny().replyOnce(config => {
+            expect(config.params).toEqual({
+                with: null,
+                page: 1,
+                page_size: 3,
+            });
+            return [200, pagination1Data];
+        });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                expect(animalStore.hasNextPage).toBe(true);
+                mock.onAny().replyOnce(config => {
+                    expect(config.params.page).toBe(2);
+                    return [200, pagination2Data];
+                });
+
+                return animalStore.getNextPage();
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([4, 5, 6]);
+                expect(animalStore.hasPreviousPage).toBe(true);
+            });
+    });
+
+    test('cursor pagination', () => {
+        const animalStore = new AnimalStore({
+            limit: 3,
+            pagination: Pagination.cursor,
+        });
+        mock.onAny().replyOnce(config => {
+            expect(config.params).toEqual({
+                with: null,
+                limit: 3,
+                cursor: null,
+            });
+            return [200, {
+                data: [{ id: 1 }, { id: 2 }, { id: 3 }],
+                meta: { next: 'abc' },
+            }];
+        });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                expect(animalStore.hasNextPage).toBe(true);
+                expect(animalStore.hasPreviousPage).toBe(false);
+                mock.onAny().replyOnce(config => {
+                    expect(config.params.cursor).toBe('abc');
+                    return [200, {
+                        data: [{ id: 4 }],
+                        meta: { previous: 'def' },
+                    }];
+                });
+
+                return animalStore.getNextPage();
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([4]);
+                expect(animalStore.currentPage).toBe(2);
+                expect(animalStore.hasNextPage).toBe(false);
+                expect(animalStore.hasPreviousPage).toBe(true);
+                mock.onAny().replyOnce(config => {
+                    expect(config.params.cursor).toBe('def');
+                    return [200, {
+                        data: [{ id: 1 }, { id: 2 }, { id: 3 }],
+                        meta: { next: 'abc' },
+                    }];
+                });
+
+                return animalStore.getPreviousPage();
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([1, 2, 3]);
+                expect(animalStore.currentPage).toBe(1);
+            });
+    });
+
+    test('cursor pagination - loadMore', () => {
+        const animalStore = new AnimalStore({ pagination: Pagination.cursor });
+        mock.onAny().replyOnce(200, {
+            data: [{ id: 1 }],
+            meta: { next: 'abc' },
+        });
+
+        return animalStore
+            .fetch()
+            .then(() => {
+                mock.onAny().replyOnce(config => {
+                    expect(config.params.cursor).toBe('abc');
+                    return [200, { data: [{ id: 2 }], meta: {} }];
+                });
+                return animalStore.loadMore();
+            })
+            .then(() => {
+                expect(animalStore.map('id')).toEqual([1, 2]);
+                expect(animalStore.hasNextPage).toBe(false);
+            });
+    });
+
+    test('cursor pagination - setPage', () => {
+        const animalStore = new AnimalStore({ pagination: Pagination.cursor });
+        animalStore.__state.cursor = 'abc';
+
+        expect(() => animalStore.setPage(2, { fetch: false })).toThrow(
+            'With cursor pagination, only the first page can be set.'
+        );
+        animalStore.setPage(1, { fetch: false });
+        expect(animalStore.__state.cursor).toBe(null);
+    });
+
+    test('reset', () => {
+        const animalStore = new AnimalStore({ limit: 3 }).parse(simpleData);
+        animalStore.__state.currentPage = 2;
+        animalStore.__state.totalRecords = 11;
+
+        animalStore.reset();
+
+        expect(animalStore.length).toBe(0);
+        expect(animalStore.currentPage).toBe(1);
+        expect(animalStore.totalPages).toBe(0);
+        expect(animalStore.hasSetChanges).toBe(false);
+    });
+
     test('getNextPage - with four pages to fourth page', () => {
         mock.onAny().replyOnce(() => {
             return [200, pagination1Data];
@@ -1010,3 +1350,542 @@ describe('Pagination', () => {
             });
     });
 });
+
+describe('serialize', () => {
+    test('round trip with models, params and pagination', () => {
+        const store = new AnimalStore({ relations: ['kind.breed'], limit: 2, params: { search: 'o' } });
+        store.fromBackend({
+            data: animalsWithKindBreedData.data,
+            repos: animalsWithKindBreedData.with,
+            relMapping: animalsWithKindBreedData.with_mapping,
+        });
+        store.__state.totalRecords = 5;
+        store.__state.currentPage = 2;
+        store.add({ name: 'New' });
+        store.at(0).setInput('name', 'Changed');
+
+        const snapshot = JSON.parse(JSON.stringify(store.serialize()));
+        const restored = AnimalStore.deserialize(snapshot);
+
+        expect(restored).toBeInstanceOf(AnimalStore);
+        expect(restored.toJS()).toEqual(store.toJS());
+        expect(restored.at(0).__store).toBe(restored);
+        expect(restored.at(0).kind.breed).toBeInstanceOf(Breed);
+        expect(restored.at(0).changedFields).toEqual(['name']);
+        expect(restored.params).toEqual({ search: 'o' });
+        expect(restored.__state.limit).toBe(2);
+        expect(restored.totalPages).toBe(3);
+        expect(restored.currentPage).toBe(2);
+        expect(restored.hasSetChanges).toBe(true);
+        expect(restored.hasUserChanges).toBe(true);
+        expect(restored.serialize()).toEqual(snapshot);
+    });
+
+    test('deserialize with invalid snapshot', () => {
+        expect(() => AnimalStore.deserialize(null)).toThrow(
+            '[mobx-spine] Expecting a snapshot created with `serialize()`.'
+        );
+    });
+});
+
+describe('query', () => {
+    test('Filters, ordering and search are written to params', () => {
+        const animalStore = new AnimalStore({ params: { foo: 'bar' } });
+        const res = animalStore
+            .where('name', 'icontains', 'w')
+            .where('kind.breed.name', 'Pug')
+            .where('pastOwners.town', 'in', [1, 2])
+            .orderBy('-kind.name', 'id')
+            .search('foo');
+
+        expect(res).toBe(animalStore);
+        expect(animalStore.params).toEqual({
+            foo: 'bar',
+            '.name:icontains': 'w',
+            '.kind.breed.name': 'Pug',
+            '.past_owners.town:in': '1,2',
+            order_by: '-kind.name,id',
+            search: 'foo',
+        });
+    });
+
+    test('Query is sent with fetch', () => {
+        const mock = new MockAdapter(axios);
+        mock.onGet('/api/animal/').replyOnce(config => {
+            expect(config.params['.name:startswith']).toBe('W');
+            expect(config.params.order_by).toBe('name');
+            return [200, { data: [], meta: { total_records: 0 } }];
+        });
+
+        const animalStore = new AnimalStore();
+        return animalStore.where('name', 'startswith', 'W').orderBy('name').fetch().then(() => {
+            mock.restore();
+        });
+    });
+
+    test('OR group on one field is written as in', () => {
+        const animalStore = new AnimalStore();
+        animalStore.whereAny(q => q.where('id', 1).where('id', 'in', [2, 3]));
+        animalStore.whereAll(q => q.where('name', 'gte', 'a').where('name', 'lt', 'n'));
+
+        expect(animalStore.params).toEqual({
+            '.id:in': '1,2,3',
+            '.name:gte': 'a',
+            '.name:lt': 'n',
+        });
+    });
+
+    test('OR group on several fields can not be written by Binder', () => {
+        const animalStore = new AnimalStore();
+        expect(() =>
+            animalStore.whereAny(q => q.where('id', 1).where('name', 'Woofer'))
+        ).toThrow(
+            '[mobx-spine] An OR group can only be written as query params when it compares one field'
+        );
+    });
+
+    test('Clearing replaces only the params of the query', () => {
+        const animalStore = new AnimalStore();
+        animalStore.where('name', 'Woofer').orderBy('name').search('w');
+        animalStore.params.limit = 10;
+        animalStore.orderBy().search('');
+
+        expect(animalStore.params).toEqual({ '.name': 'Woofer', limit: 10 });
+
+        animalStore.clearQuery();
+        expect(animalStore.params).toEqual({ limit: 10 });
+    });
+
+    test('Fields are looked up without creating models for every query', () => {
+        const initialize = jest.fn();
+        class Owner extends Model {
+            @observable id = null;
+            @observable town = null;
+
+            initialize() {
+                initialize();
+            }
+        }
+        class OwnerStore extends Store {
+            Model = Owner;
+        }
+        class Pet extends Model {
+            @observable id = null;
+            @observable name = '';
+
+            relations() {
+                return { owners: OwnerStore };
+            }
+        }
+        class PetStore extends Store {
+            Model = Pet;
+            api = new BinderApi();
+        }
+
+        new PetStore().where('owners.town', 1).orderBy('owners.town');
+        new PetStore().where('owners.town', 2);
+
+        expect(initialize).toHaveBeenCalledTimes(1);
+    });
+
+    test('Invalid queries', () => {
+        const animalStore = new AnimalStore();
+        expect(() => animalStore.where('nam', 'Woofer')).toThrow(
+            '[mobx-spine] Field `nam` does not exist on the model.'
+        );
+        expect(() => animalStore.orderBy('kind.foo')).toThrow(
+            '[mobx-spine] Field `kind.foo` does not exist on the model.'
+        );
+        expect(() => animalStore.where('name.foo', 'Woofer')).toThrow(
+            '[mobx-spine] Field `name.foo` does not exist on the model.'
+        );
+        expect(() => animalStore.where('name', 'like', 'W')).toThrow(
+            '[mobx-spine] Unknown lookup `like` in query'
+        );
+        expect(() => animalStore.where('id', 'in', 1)).toThrow(
+            '[mobx-spine] Lookup `in` needs an array as value.'
+        );
+        animalStore.where('id', 'gt', 1);
+        expect(() => animalStore.where('id', 'gt', 2)).toThrow(
+            '[mobx-spine] Field `id` is queried twice with lookup `gt`.'
+        );
+        // A query that can't be written is left as it was.
+        animalStore.orderBy('name');
+        expect(animalStore.params).toEqual({ '.id:gt': 1, order_by: 'name' });
+    });
+});
+
+describe('autoFetch', () => {
+    let mock;
+    beforeEach(() => {
+        jest.useFakeTimers();
+        mock = new MockAdapter(axios);
+        mock.onGet('/api/animal/').reply(200, { data: [], meta: { total_records: 100 } });
+    });
+    afterEach(() => {
+        mock.restore();
+        jest.useRealTimers();
+    });
+
+    function flush() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+
+    test('Changes are fetched once after the delay', () => {
+        const animalStore = new AnimalStore({ autoFetch: { delay: 100 } });
+        animalStore.params = { search: 'w' };
+        animalStore.params.search = 'wo';
+        animalStore.setLimit(10);
+
+        jest.advanceTimersByTime(99);
+        return flush().then(() => {
+            expect(mock.history.get.length).toBe(0);
+            jest.advanceTimersByTime(1);
+            return flush();
+        }).then(() => {
+            expect(mock.history.get.length).toBe(1);
+            expect(mock.history.get[0].params).toEqual({
+                search: 'wo',
+                limit: 10,
+                offset: null,
+                with: null,
+            });
+        });
+    });
+
+    test('Changed params start over at the first page', () => {
+        const animalStore = new AnimalStore({ autoFetch: true });
+        return animalStore.fetch().then(() => {
+            animalStore.setPage(3, { fetch: false });
+            jest.runAllTimers();
+            return flush();
+        }).then(() => {
+            expect(mock.history.get[1].params.offset).toBe(50);
+
+            animalStore.where('name', 'icontains', 'w');
+            expect(animalStore.currentPage).toBe(1);
+            jest.runAllTimers();
+            return flush();
+        }).then(() => {
+            expect(mock.history.get.length).toBe(3);
+            expect(mock.history.get[2].params.offset).toBe(null);
+        });
+    });
+
+    test('Fetches that are done already are not sent again', () => {
+        const animalStore = new AnimalStore({ autoFetch: true });
+        return animalStore.fetch().then(() => {
+            animalStore.setPage(2);
+            jest.runAllTimers();
+            return flush();
+        }).then(() => {
+            expect(mock.history.get.length).toBe(2);
+        });
+    });
+
+    test('Change cancels the fetch in progress', () => {
+        mock.reset();
+        let respond;
+        mock.onGet('/api/animal/').replyOnce(() => {
+            return new Promise(resolve => {
+                respond = resolve;
+            });
+        });
+        mock.onGet('/api/animal/').replyOnce(200, { data: [{ id: 2 }], meta: { total_records: 1 } });
+
+        const animalStore = new AnimalStore({ autoFetch: true });
+        const first = animalStore.fetch();
+        return flush().then(() => {
+            animalStore.params = { search: 'w' };
+            respond([200, { data: [{ id: 1 }], meta: { total_records: 1 } }]);
+            return first;
+        }).then(() => {
+            throw new Error('Expected the fetch to be cancelled.');
+        }, err => {
+            expect(isCancel(err)).toBe(true);
+            jest.runAllTimers();
+            return flush();
+        }).then(() => {
+            expect(animalStore.map('id')).toEqual([2]);
+        });
+    });
+
+    test('Errors go to onError', () => {
+        mock.reset();
+        mock.onGet('/api/animal/').replyOnce(500, {});
+        const onError = jest.fn();
+
+        const animalStore = new AnimalStore({ autoFetch: { onError } });
+        animalStore.params = { search: 'w' };
+        jest.runAllTimers();
+        return flush().then(() => {
+            expect(onError).toHaveBeenCalledTimes(1);
+            expect(onError.mock.calls[0][0].response.status).toBe(500);
+        });
+    });
+
+    test('Without onError, errors go to fetchError', () => {
+        mock.reset();
+        mock.onGet('/api/animal/').networkErrorOnce();
+        mock.onGet('/api/animal/').replyOnce(200, { data: [], meta: { total_records: 0 } });
+
+        const animalStore = new AnimalStore({ autoFetch: true });
+        animalStore.params = { search: 'w' };
+        jest.runAllTimers();
+        return flush().then(() => {
+            expect(animalStore.fetchError.message).toBe('Network Error');
+            animalStore.params = { search: 'wo' };
+            jest.runAllTimers();
+            return flush();
+        }).then(() => {
+            expect(animalStore.fetchError).toBe(null);
+        });
+    });
+
+    test('dispose() stops fetching', () => {
+        const animalStore = new AnimalStore({ autoFetch: true });
+        animalStore.params = { search: 'w' };
+        animalStore.dispose();
+        animalStore.params.search = 'wo';
+        jest.runAllTimers();
+        return flush().then(() => {
+            expect(mock.history.get.length).toBe(0);
+        });
+    });
+});
+
+describe('local pagination', () => {
+    function localStore(options = {}) {
+        const animalStore = new AnimalStore({ pagination: Pagination.local, limit: 2, ...options });
+        animalStore.parse([
+            { id: 1, name: 'Woofer' },
+            { id: 2, name: 'Rex' },
+            { id: 3, name: 'Bello' },
+            { id: 4, name: 'Max' },
+            { id: 5, name: 'Rova' },
+        ]);
+        return animalStore;
+    }
+
+    test('Fetches all models', () => {
+        const mock = new MockAdapter(axios);
+        mock.onGet('/api/animal/').replyOnce(config => {
+            expect(config.params.limit).toBe('none');
+            expect(config.params.offset).toBe(undefined);
+            return [200, { data: [{ id: 1 }, { id: 2 }, { id: 3 }], meta: { total_records: 3 } }];
+        });
+
+        const animalStore = new AnimalStore({ pagination: Pagination.local, limit: 2 });
+        return animalStore.fetch().then(() => {
+            mock.restore();
+            expect(animalStore.length).toBe(3);
+            expect(animalStore.pageModels.map(m => m.id)).toEqual([1, 2]);
+            expect(animalStore.totalPages).toBe(2);
+        });
+    });
+
+    test('Pages without fetching', () => {
+        const mock = new MockAdapter(axios);
+        const animalStore = localStore();
+
+        expect(animalStore.totalPages).toBe(3);
+        expect(animalStore.hasPreviousPage).toBe(false);
+        return animalStore.getNextPage().then(() => {
+            expect(animalStore.pageModels.map(m => m.id)).toEqual([3, 4]);
+            return animalStore.setPage(3);
+        }).then(() => {
+            expect(animalStore.pageModels.map(m => m.id)).toEqual([5]);
+            expect(animalStore.hasNextPage).toBe(false);
+            return animalStore.getPreviousPage();
+        }).then(() => {
+            expect(animalStore.currentPage).toBe(2);
+            expect(mock.history.get.length).toBe(0);
+            mock.restore();
+        });
+    });
+
+    test('Filter and comparator work in memory', () => {
+        const animalStore = localStore({ comparator: 'name' });
+        expect(animalStore.pageModels.map(m => m.name)).toEqual(['Bello', 'Max']);
+
+        animalStore.setPage(2);
+        animalStore.setFilter(animal => animal.name.includes('o'));
+        expect(animalStore.currentPage).toBe(1);
+        expect(animalStore.totalPages).toBe(2);
+        expect(animalStore.pageModels.map(m => m.name)).toEqual(['Bello', 'Rova']);
+
+        animalStore.comparator = (a, b) => b.id - a.id;
+        expect(animalStore.pageModels.map(m => m.name)).toEqual(['Rova', 'Bello']);
+
+        animalStore.get(1).setInput('name', 'Wuf');
+        animalStore.setFilter(null);
+        animalStore.setLimit(null);
+        expect(animalStore.pageModels.length).toBe(5);
+        expect(animalStore.totalPages).toBe(0);
+    });
+
+    test('Server-paged store has its models as page', () => {
+        const animalStore = new AnimalStore();
+        animalStore.parse([{ id: 1 }, { id: 2 }]);
+        expect(animalStore.isLocal).toBe(false);
+        expect(animalStore.pageModels.map(m => m.id)).toEqual([1, 2]);
+        expect(() => animalStore.setFilter(() => true)).toThrow(
+            '[mobx-spine] Filtering in memory needs local pagination.'
+        );
+    });
+
+    test('autoFetch ignores local page changes', () => {
+        jest.useFakeTimers();
+        const mock = new MockAdapter(axios);
+        mock.onGet('/api/animal/').reply(200, {
+            data: [{ id: 1 }, { id: 2 }, { id: 3 }],
+            meta: { total_records: 3 },
+        });
+
+        const animalStore = localStore({ autoFetch: true });
+        return animalStore.fetch().then(() => {
+            animalStore.setPage(2);
+            animalStore.setLimit(1);
+            jest.runAllTimers();
+            return new Promise(resolve => setImmediate(resolve));
+        }).then(() => {
+            expect(mock.history.get.length).toBe(1);
+            mock.restore();
+            jest.useRealTimers();
+        });
+    });
+});
+
+describe('comparator spec', () => {
+    test('Sorts by several keys and stays stable after add', () => {
+        const animalStore = new AnimalStore({ comparator: ['-kind.name', 'name'], relations: ['kind'] });
+        animalStore.parse([
+            { id: 1, name: 'Rex', kind: { id: 1, name: 'Dog' } },
+            { id: 2, name: 'Bello', kind: { id: 1, name: 'Dog' } },
+            { id: 3, name: 'Max', kind: { id: 2, name: 'Cat' } },
+        ]);
+        expect(animalStore.map('id')).toEqual([2, 1, 3]);
+
+        animalStore.add({ id: 4, name: 'Bello', kind: { id: 1, name: 'Dog' } });
+        animalStore.add({ id: 5, name: 'Bello', kind: { id: 1, name: 'Dog' } });
+        expect(animalStore.map('id')).toEqual([2, 4, 5, 1, 3]);
+
+        animalStore.comparator = 'kind.name';
+        animalStore.sort();
+        expect(animalStore.map('id')).toEqual([3, 2, 4, 5, 1]);
+    });
+
+    test('Store can be ordered by its comparator in the backend', () => {
+        const animalStore = new AnimalStore({ comparator: ['-kind.name', { field: 'name', nulls: 'first' }] });
+        animalStore.orderBy(animalStore.comparator);
+        expect(animalStore.params).toEqual({ order_by: '-kind.name,name' });
+    });
+
+    test('Collator of the store is used', () => {
+        const animalStore = new AnimalStore({ comparator: 'name' });
+        animalStore.collator = new Intl.Collator('en', { numeric: true });
+        animalStore.parse([{ id: 1, name: 'Rex 10' }, { id: 2, name: 'Rex 9' }]);
+        expect(animalStore.map('id')).toEqual([2, 1]);
+    });
+});
+
+describe('selection', () => {
+    let mock;
+    beforeEach(() => {
+        mock = new MockAdapter(axios);
+    });
+    afterEach(() => {
+        mock.restore();
+    });
+
+    function selectionStore() {
+        const animalStore = new AnimalStore();
+        animalStore.parse([{ id: 1, name: 'Woofer' }, { id: 2, name: 'Rex' }, { id: 3, name: 'Max' }]);
+        return animalStore;
+    }
+
+    test('Select, deselect and toggle', () => {
+        const animalStore = selectionStore();
+        animalStore.select(animalStore.get(1));
+        animalStore.toggle([animalStore.get(2), animalStore.get(1)]);
+
+        expect(animalStore.selected.map(m => m.id)).toEqual([2]);
+        expect(animalStore.isSelected(animalStore.get(2))).toBe(true);
+        expect(animalStore.selectedCount).toBe(1);
+
+        animalStore.deselect(animalStore.get(2));
+        expect(animalStore.selectedCount).toBe(0);
+    });
+
+    test('Selection is kept when fetching again', () => {
+        mock.onGet('/api/animal/').replyOnce(200, {
+            data: [{ id: 2, name: 'Rex' }, { id: 4, name: 'Bello' }],
+            meta: { total_records: 2 },
+        });
+
+        const animalStore = selectionStore();
+        animalStore.select([animalStore.get(1), animalStore.get(2)]);
+        return animalStore.fetch().then(() => {
+            expect(animalStore.selected.map(m => m.id)).toEqual([2]);
+            // The model on another page stays selected.
+            expect(animalStore.selectedCount).toBe(2);
+        });
+    });
+
+    test('selectAll selects records on other pages', () => {
+        const animalStore = selectionStore();
+        animalStore.__state.totalRecords = 30;
+        animalStore.selectAll();
+
+        expect(animalStore.isAllSelected).toBe(true);
+        expect(animalStore.selectedCount).toBe(30);
+        expect(animalStore.selected.length).toBe(3);
+
+        animalStore.toggle(animalStore.get(3));
+        expect(animalStore.isAllSelected).toBe(false);
+        expect(animalStore.selectedCount).toBe(29);
+        expect(animalStore.isSelected(animalStore.get(3))).toBe(false);
+        expect(() => animalStore.deleteSelected()).toThrow(
+            '[mobx-spine] Records on other pages are selected; only loaded models can be saved or deleted at once.'
+        );
+
+        animalStore.clearSelection();
+        expect(animalStore.selectedCount).toBe(0);
+    });
+
+    test('deleteSelected deletes through the api', () => {
+        mock.onDelete('/api/animal/1/').replyOnce(204, {});
+        mock.onDelete('/api/animal/3/').replyOnce(500, {});
+
+        const animalStore = selectionStore();
+        animalStore.__state.totalRecords = 3;
+        animalStore.selectAll();
+        animalStore.deselect(animalStore.get(2));
+        return animalStore.deleteSelected().then(() => {
+            throw new Error('Expected deleteSelected to fail.');
+        }, err => {
+            expect(err.response.status).toBe(500);
+            expect(animalStore.map('id')).toEqual([2, 3]);
+            expect(animalStore.__state.totalRecords).toBe(2);
+            // The model that failed is still selected.
+            expect(animalStore.selected.map(m => m.id)).toEqual([3]);
+            expect(animalStore.selectedCount).toBe(1);
+        });
+    });
+
+    test('saveSelected saves through the api', () => {
+        mock.onPatch('/api/animal/2/').replyOnce(200, { id: 2, name: 'Rexie' });
+        mock.onPost('/api/animal/').replyOnce(201, { id: 5, name: 'Bello' });
+
+        const animalStore = selectionStore();
+        const bello = animalStore.add({ name: 'Bello' });
+        animalStore.select([animalStore.get(2), bello]);
+        return animalStore.saveSelected().then(() => {
+            expect(mock.history.patch.length).toBe(1);
+            expect(animalStore.get(2).name).toBe('Rexie');
+            expect(bello.id).toBe(5);
+            expect(animalStore.selected).toEqual([animalStore.get(2), bello]);
+            expect(animalStore.selectedCount).toBe(2);
+        });
+    });
+});
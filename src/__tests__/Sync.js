@@ -0,0 +1,275 @@
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { observable } from 'mobx';
+import { Model, Store, BinderApi, Casts, Sync, MemoryTransport } from '../';
+
+class Kind extends Model {
+    static backendResourceName = 'kind';
+    @observable id = null;
+    @observable name = '';
+}
+
+class Animal extends Model {
+    static backendResourceName = 'animal';
+    api = new BinderApi();
+    @observable id = null;
+    @observable name = '';
+    @observable color = '';
+    @observable bornAt = null;
+
+    casts() {
+        return {
+            bornAt: Casts.momentDate,
+        };
+    }
+
+    relations() {
+        return {
+            kind: Kind,
+        };
+    }
+}
+
+class AnimalStore extends Store {
+    Model = Animal;
+    api = new BinderApi();
+    url = '/api/animal/';
+}
+
+let mock;
+let transport;
+let sync;
+beforeEach(() => {
+    mock = new MockAdapter(axios);
+    transport = new MemoryTransport();
+    sync = new Sync({ transport });
+});
+afterEach(() => {
+    mock.restore();
+});
+
+test('Sync with invalid options', () => {
+    expect(() => new Sync()).toThrow(
+        '[mobx-spine] Sync needs a `transport` with a `subscribe(handler)` method.'
+    );
+    expect(() => sync.subscribe({})).toThrow(
+        '[mobx-spine] Only models and stores can subscribe to sync events.'
+    );
+    expect(() => sync.handle({ type: 'foo' })).toThrow(
+        '[mobx-spine] Unknown sync event: {"type":"foo"}'
+    );
+});
+
+test('Update is applied to subscribed model', () => {
+    const animal = new Animal({ id: 1, name: 'Woofer' });
+    sync.subscribe(animal);
+
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Rex', born_at: '2014-03-22' } });
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 2, name: 'Max' } });
+    transport.emit({ type: 'updated', resource: 'kind', data: { id: 1, name: 'Cat' } });
+
+    expect(animal.name).toBe('Rex');
+    expect(animal.bornAt.format('YYYY-MM-DD')).toBe('2014-03-22');
+    expect(animal.hasUserChanges).toBe(false);
+});
+
+test('Update is applied to models in subscribed store', () => {
+    const store = new AnimalStore({ relations: ['kind'] });
+    store.parse([{ id: 1, name: 'Woofer', kind: { id: 3, name: 'Dog' } }, { id: 2, name: 'Max' }]);
+    sync.subscribe(store);
+
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 2, name: 'Rex', kind: 4 } });
+
+    expect(store.map('name')).toEqual(['Woofer', 'Rex']);
+    expect(store.get(2).kind.id).toBe(4);
+    expect(store.hasUserChanges).toBe(false);
+});
+
+test('Fields changed by the user are not overwritten', () => {
+    const animal = new Animal({ id: 1, name: 'Woofer', color: 'brown' });
+    sync.subscribe(animal);
+    animal.setInput('name', 'Rex');
+    animal.setInput('color', 'black');
+
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Max', color: 'black' } });
+
+    expect(animal.name).toBe('Rex');
+    expect(animal.color).toBe('black');
+    // The same value as the user chose is not a conflict, and not a change anymore.
+    expect(animal.changedFields).toEqual(['name']);
+    expect(sync.conflicts).toEqual([
+        { model: animal, field: 'name', key: 'name', local: 'Rex', remote: 'Max' },
+    ]);
+
+    // A next update of the same field replaces the conflict.
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Bello' } });
+    expect(sync.conflicts.length).toBe(1);
+    expect(sync.conflicts[0].remote).toBe('Bello');
+});
+
+test('Conflicts can be resolved', () => {
+    const animal = new Animal({ id: 1, name: 'Woofer', kind: { id: 3 } }, { relations: ['kind'] });
+    sync.subscribe(animal);
+    animal.setInput('name', 'Rex');
+    animal.setInput('kind', new Kind({ id: 5 }));
+
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Max', kind: 4 } });
+    expect(sync.conflicts.map(c => c.field)).toEqual(['name', 'kind']);
+    expect(sync.conflicts[1].local).toBe(5);
+
+    sync.acceptRemote(sync.conflicts[0]);
+    expect(animal.name).toBe('Max');
+    expect(animal.changedFields).toEqual(['kind']);
+
+    sync.acceptRemote(sync.conflicts[0]);
+    expect(animal.kind.id).toBe(4);
+    expect(sync.conflicts).toEqual([]);
+
+    animal.setInput('name', 'Rex');
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Bello' } });
+    sync.dismiss(sync.conflicts[0]);
+    expect(animal.name).toBe('Rex');
+    expect(sync.conflicts).toEqual([]);
+});
+
+test('Delete removes the model from stores', () => {
+    const store = new AnimalStore();
+    store.parse([{ id: 1 }, { id: 2 }]);
+    store.__state.totalRecords = 2;
+    sync.subscribe(store);
+
+    transport.emit({ type: 'deleted', resource: 'animal', data: 1 });
+
+    expect(store.map('id')).toEqual([2]);
+    expect(store.__state.totalRecords).toBe(1);
+    expect(store.hasSetChanges).toBe(false);
+});
+
+test('Delete of subscribed model removes it from its store', () => {
+    const store = new AnimalStore();
+    store.parse([{ id: 1 }, { id: 2 }]);
+    sync.subscribe(store.get(2));
+
+    transport.emit({ type: 'deleted', resource: 'animal', data: { id: 2 } });
+
+    expect(store.map('id')).toEqual([1]);
+});
+
+test('Create is added to store with matching params', () => {
+    const store = new AnimalStore();
+    store.params = { color: 'brown' };
+    store.parse([{ id: 1, color: 'brown' }]);
+    store.__state.totalRecords = 1;
+    sync.subscribe(store);
+
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 2, name: 'Rex', color: 'brown' } });
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 3, name: 'Max', color: 'black' } });
+
+    expect(store.map('name')).toEqual(['', 'Rex']);
+    expect(store.__state.totalRecords).toBe(2);
+    expect(store.hasSetChanges).toBe(false);
+    expect(mock.history.get.length).toBe(0);
+});
+
+test('Create of a model that is already in the store updates it', () => {
+    const store = new AnimalStore();
+    store.parse([{ id: 1, name: 'Woofer' }]);
+    sync.subscribe(store);
+
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 1, name: 'Rex' } });
+
+    expect(store.map('name')).toEqual(['Rex']);
+});
+
+test('Create refetches store when params can not be matched', () => {
+    mock.onGet('/api/animal/').replyOnce(config => {
+        expect(config.params.search).toBe('r');
+        return [200, { data: [{ id: 2, name: 'Rex' }], meta: { total_records: 1 } }];
+    });
+
+    const store = new AnimalStore();
+    store.params = { search: 'r' };
+    sync.subscribe(store);
+
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 2, name: 'Rex' } });
+
+    return new Promise(resolve => setTimeout(resolve)).then(() => {
+        expect(mock.history.get.length).toBe(1);
+        expect(store.map('name')).toEqual(['Rex']);
+    });
+});
+
+test('Create refetches store with more pages', () => {
+    mock.onGet('/api/animal/').replyOnce(200, { data: [], meta: { total_records: 0 } });
+
+    const store = new AnimalStore();
+    store.parse([{ id: 1 }]);
+    store.__state.totalRecords = 30;
+    sync.subscribe(store);
+
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 2 } });
+
+    return new Promise(resolve => setTimeout(resolve)).then(() => {
+        expect(mock.history.get.length).toBe(1);
+    });
+});
+
+test('Failed refetch goes to onError', () => {
+    mock.onGet('/api/animal/').networkErrorOnce();
+    const onError = jest.fn();
+    sync = new Sync({ transport, onError });
+
+    const store = new AnimalStore();
+    store.params = { search: 'r' };
+    sync.subscribe(store);
+
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 2, name: 'Rex' } });
+
+    return new Promise(resolve => setTimeout(resolve)).then(() => {
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(onError.mock.calls[0][0].message).toBe('Network Error');
+    });
+});
+
+test('Refetch that is cancelled by another fetch is ignored', () => {
+    mock.onGet('/api/animal/').reply(200, { data: [], meta: { total_records: 0 } });
+    const onError = jest.fn();
+    sync = new Sync({ transport, onError });
+
+    const store = new AnimalStore();
+    store.params = { search: 'r' };
+    sync.subscribe(store);
+
+    transport.emit({ type: 'created', resource: 'animal', data: { id: 2, name: 'Rex' } });
+    return store.fetch().then(() => {
+        expect(onError).not.toHaveBeenCalled();
+    });
+});
+
+test('Model in subscribed store and subscribed itself is updated once', () => {
+    const store = new AnimalStore();
+    store.parse([{ id: 1, name: 'Woofer' }]);
+    const shared = store.get(1);
+    sync.subscribe(store);
+    sync.subscribe(shared);
+    shared.setInput('name', 'Rex');
+
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Max' } });
+
+    expect(sync.conflicts.length).toBe(1);
+    expect(shared.name).toBe('Rex');
+});
+
+test('Unsubscribe and close', () => {
+    const animal = new Animal({ id: 1, name: 'Woofer' });
+    const unsubscribe = sync.subscribe(animal);
+
+    unsubscribe();
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Rex' } });
+    expect(animal.name).toBe('Woofer');
+
+    sync.subscribe(animal);
+    sync.close();
+    transport.emit({ type: 'updated', resource: 'animal', data: { id: 1, name: 'Rex' } });
+    expect(animal.name).toBe('Woofer');
+});
@@ -1,4 +1,19 @@
 export { default as Model } from './Model';
 export { default as Store } from './Store';
+export { default as Api } from './Api';
 export { default as BinderApi } from './BinderApi';
+export { default as RestApi } from './RestApi';
+export { default as JsonApiApi } from './JsonApiApi';
+export { default as GraphQLApi } from './GraphQLApi';
+export { CsrfAuth, BearerAuth } from './Auth';
 export { default as Casts, configureDateLib } from './Casts';
+export { default as Validators } from './Validators';
+export { default as History } from './History';
+export { default as Pagination } from './Pagination';
+export { default as Repository } from './Repository';
+export { default as Query, QueryGroup } from './Query';
+export { default as createComparator, parseSortSpec } from './Comparator';
+export { default as Cache } from './Cache';
+export { default as OfflineQueue, MemoryStorage } from './OfflineQueue';
+export { default as Sync, MemoryTransport } from './Sync';
+export { isCancel, isConflict } from './utils';
@@ -1,3 +1,5 @@
+import axios from 'axios';
+
 export function invariant(condition, message = 'Illegal state') {
     if (!condition) {
         throw new Error(`[mobx-spine] ${message}`);
@@ -60,3 +62,82 @@ export function forNestedRelations(model, nestedRelations, fn) {
         fn(model[key]);
     });
 }
+
+// Sends a request with `send(cancelToken)`, and returns its promise, which can be cancelled with
+// `promise.cancel()`. A cancelled request is aborted through the axios `cancelToken`, and rejects right
+// away with an error for which `isCancel()` is true.
+export function cancellable(send) {
+    const source = axios.CancelToken.source();
+    const promise = send(source.token);
+    let cancel;
+    const wrapped = new Promise((resolve, reject) => {
+        let settled = false;
+        cancel = () => {
+            if (!settled) {
+                settled = true;
+                source.cancel();
+                const err = new Error('[mobx-spine] Request cancelled.');
+                err.isCancel = true;
+                reject(err);
+            }
+        };
+        promise.then(
+            res => {
+                if (!settled) {
+                    settled = true;
+                    resolve(res);
+                }
+            },
+            err => {
+                if (!settled) {
+                    settled = true;
+                    reject(err);
+                }
+            }
+        );
+    });
+    wrapped.cancel = cancel;
+    return wrapped;
+}
+
+export function isCancel(err) {
+    return !!(err && err.isCancel);
+}
+
+// Whether `save()` failed because the model was changed by someone else since it was fetched.
+export function isConflict(err) {
+    return !!(err && err.isConflict);
+}
+
+export function getHeader(headers, name) {
+    // Browsers give lowercased header names, but not every adapter does.
+    const key = Object.keys(headers || {}).find(
+        key => key.toLowerCase() === name.toLowerCase()
+    );
+    return key === undefined ? undefined : headers[key];
+}
+
+// Returns the (decoded) value of query param `name` in `url`, or `null`.
+export function getQueryParam(url, name) {
+    if (!url || !url.includes('?')) {
+        return null;
+    }
+    const decode = s => decodeURIComponent(s.replace(/\+/g, ' '));
+    const query = url.split('?')[1].split('#')[0];
+    for (const part of query.split('&')) {
+        const i = part.indexOf('=');
+        const key = decode(i === -1 ? part : part.slice(0, i));
+        if (key === name) {
+            return i === -1 ? '' : decode(part.slice(i + 1));
+        }
+    }
+    return null;
+}
+
+// A random (version 4) UUID.
+export function uuid() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = (Math.random() * 16) | 0;
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}